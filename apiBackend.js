@@ -0,0 +1,307 @@
+import { EventEmitter } from 'events';
+import { isBlockRange } from './ranges.js';
+import { RequestPacer, withRetries } from './pacing.js';
+
+// Etherscan HTTP API backend. Fetches the same transaction types as the browser scrapers and
+// produces the same hashes, rows and events, so runScraper can use it when an API key is set.
+
+export const BACKENDS = ['auto', 'api', 'scrape'];
+
+// Rows per request. The API never returns more than 10,000 rows for one block window,
+// so paging moves the window instead of going past that.
+export const API_PAGE_SIZE = 1000;
+const MAX_WINDOW_ROWS = 10000;
+const LATEST_BLOCK = 999999999;
+
+// API actions behind each scrape type; internal covers normal and internal transactions of the address
+export const API_QUERIES = {
+    external: [{ action: 'tokentx', addressParam: 'contractaddress' }],
+    internal: [
+        { action: 'txlist', addressParam: 'address' },
+        { action: 'txlistinternal', addressParam: 'address' }
+    ]
+};
+
+const RATE_LIMIT_TEXT = /rate limit/i;
+const NO_RESULTS_TEXT = /no (transactions|records) found/i;
+
+// The API rejected a request or could not be reached; in auto mode runScraper falls back to scraping
+export class ApiError extends Error {
+    constructor(message, { rateLimited = false } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.rateLimited = rateLimited;
+    }
+}
+
+// Raw integer amount to a decimal string, e.g. (1500000000000000000n, 18) -> '1.5'
+export function formatUnits(value, decimals) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const amount = BigInt(value);
+    const scale = 10n ** BigInt(decimals);
+    const whole = amount / scale;
+    const fraction = (amount % scale).toString().padStart(Number(decimals), '0').replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+// Shared by every API scraper of a run: one key, one rate limit
+export class ApiClient {
+    constructor(options = {}) {
+        this.apiUrl = options.apiUrl;
+        this.apiKey = options.apiKey;
+        this.chainId = options.chainId;
+        this.minInterval = Math.ceil(1000 / (options.rateLimit || 5)); // ms between two requests
+        this.timeout = options.timeout ?? 10000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.pacer = new RequestPacer();
+    }
+
+    buildUrl(params) {
+        const url = new URL(this.apiUrl);
+        Object.entries({ chainid: this.chainId, ...params, apikey: this.apiKey }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+        });
+        return url.toString();
+    }
+
+    // One API call; rate-limit answers are retried with backoff, onRetry(attempt, reason) reports them
+    async request(params, onRetry = () => { }) {
+        return withRetries(async () => {
+            await this.pacer.waitForTurn(this.minInterval);
+            return this.fetchOnce(params);
+        }, {
+            maxRetries: this.maxRetries,
+            toError: error => error instanceof ApiError ? error : new ApiError(error.message),
+            // Network errors are retried too
+            isRetryable: (apiError, error) => apiError.rateLimited || !(error instanceof ApiError),
+            onRetry
+        });
+    }
+
+    async fetchOnce(params) {
+        const response = await fetch(this.buildUrl(params), { signal: AbortSignal.timeout(this.timeout) });
+        if (response.status === 429) {
+            throw new ApiError('HTTP 429', { rateLimited: true });
+        }
+        if (!response.ok) {
+            throw new ApiError(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.status === '1') return data.result;
+
+        // "No transactions found" comes back as an error status with an empty result
+        if (NO_RESULTS_TEXT.test(data.message) || (Array.isArray(data.result) && data.result.length === 0)) {
+            return [];
+        }
+
+        const reason = typeof data.result === 'string' ? data.result : data.message;
+        throw new ApiError(reason || 'Unknown API error', { rateLimited: RATE_LIMIT_TEXT.test(reason) });
+    }
+
+    // Block closest to a unix timestamp, before or after it
+    async blockAt(timestamp, closest) {
+        const result = await this.request({ module: 'block', action: 'getblocknobytime', timestamp, closest });
+        return Number(result);
+    }
+}
+
+// API counterpart of ExternalScrapper / InternalScrapper for one address and type
+export class ApiScrapper extends EventEmitter {
+    constructor(client, type, address, settings) {
+        super();
+        if (!API_QUERIES[type]) {
+            throw new Error(`No API query for "${type}"`);
+        }
+
+        this.client = client;
+        this.query = { name: type };
+        this.address = address;
+        this.range = settings.range;
+        this.explorer = settings.explorer;
+        this.knownHashes = null; // Incremental mode: paging stops at the first known hash
+        this.rows = [];
+        this.rowKeys = new Set(); // Rows of the oldest block of a full page come back on the next one
+        this.requests = 0;
+        this.requestHashCounts = []; // Hashes per request, for the run report
+        this.truncated = []; // Blocks with more rows than the API pages through
+        this.hashCount = 0;
+        this.stopped = false; // Set by stop(): no further requests are sent
+        this.heldEvents = null; // Events kept back by holdEvents()
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    get failedCount() {
+        return 0; // A request that keeps failing aborts the whole query
+    }
+
+    emitEvent(event, data) {
+        const tagged = { chain: this.explorer.id, address: this.address, type: this.query.name, range: this.range, ...data };
+        if (this.heldEvents) {
+            this.heldEvents.push([event, tagged]);
+        } else {
+            this.emit(event, tagged);
+        }
+    }
+
+    // Keep events back until releaseEvents(), e.g. while a scraper may still replace these results
+    holdEvents() {
+        this.heldEvents = this.heldEvents || [];
+    }
+
+    releaseEvents() {
+        const held = this.heldEvents || [];
+        this.heldEvents = null;
+        held.forEach(([event, data]) => this.emit(event, data));
+    }
+
+    getRows() {
+        return this.rows;
+    }
+
+    // Same shape as BaseScrapper.getReport(), with API requests as pages
+    getReport() {
+        const total = this.requestHashCounts.reduce((sum, entry) => sum + entry.hashes, 0);
+        return {
+            type: this.query.name,
+            range: this.range,
+            complete: this.truncated.length === 0,
+            pages: { planned: null, succeeded: this.requests, failed: 0, skipped: 0 },
+            failedPages: [],
+            truncated: this.truncated,
+            hashes: { unique: this.hashCount, total, duplicates: total - this.hashCount },
+            hashesPerPage: this.requestHashCounts
+        };
+    }
+
+    // Block bounds of the run's range; dates are converted with the API's block-by-time lookup
+    async blockBounds() {
+        const range = this.range;
+        if (!range) return { startBlock: 0, endBlock: LATEST_BLOCK };
+
+        if (isBlockRange(range)) {
+            return { startBlock: range.fromBlock ?? 0, endBlock: range.toBlock ?? LATEST_BLOCK };
+        }
+
+        const startBlock = range.fromDate
+            ? await this.client.blockAt(Date.parse(`${range.fromDate}T00:00:00Z`) / 1000, 'after')
+            : 0;
+        const endBlock = range.toDate
+            ? await this.client.blockAt(Date.parse(`${range.toDate}T23:59:59Z`) / 1000, 'before')
+            : LATEST_BLOCK;
+        return { startBlock, endBlock };
+    }
+
+    toRow(action, item) {
+        const isToken = action === 'tokentx';
+        const fee = item.gasPrice && item.gasUsed ? formatUnits(BigInt(item.gasPrice) * BigInt(item.gasUsed), 18) : null;
+        const method = item.functionName ? item.functionName.split('(')[0] : (item.methodId || item.type || null);
+
+        return {
+            hash: item.hash,
+            method: method || null,
+            block: Number(item.blockNumber),
+            age: null, // Relative age only exists on the explorer page
+            timestamp: new Date(Number(item.timeStamp) * 1000).toISOString(),
+            from: item.from || null,
+            to: item.to || item.contractAddress || null,
+            value: isToken ? formatUnits(item.value, item.tokenDecimal || 0) : formatUnits(item.value, 18),
+            token: isToken ? (item.tokenSymbol || item.tokenName || null) : this.explorer.nativeCurrency,
+            tokenAddress: isToken ? (item.contractAddress || null) : null,
+            fee,
+            page: this.requests
+        };
+    }
+
+    // Page one action newest-first, moving the block window down whenever a page comes back full
+    async fetchAction({ action, addressParam }, startBlock, endBlock, seen) {
+        let windowEnd = endBlock;
+        let page = 1;
+
+        while (!this.stopped) {
+            this.requests++;
+            const request = this.requests;
+            const items = await this.client.request({
+                module: 'account',
+                action,
+                [addressParam]: this.address,
+                startblock: startBlock,
+                endblock: windowEnd,
+                page,
+                offset: API_PAGE_SIZE,
+                sort: 'desc'
+            }, (attempt, reason) => this.emitEvent('retry', { page: request, attempt, reason }));
+
+            const rows = [];
+            const newHashes = [];
+            let reachedKnown = false;
+            items.forEach(item => {
+                // Token transfers and internal calls can share a hash; the log index / trace id tells them apart
+                const key = `${action}:${item.hash}:${item.logIndex ?? item.traceId ?? ''}`;
+                if (this.rowKeys.has(key)) return;
+                this.rowKeys.add(key);
+
+                const row = this.toRow(action, item);
+                rows.push(row);
+                if (this.knownHashes?.has(row.hash)) reachedKnown = true;
+                if (!seen.has(row.hash)) {
+                    seen.add(row.hash);
+                    newHashes.push(row.hash);
+                }
+            });
+            this.rows.push(...rows);
+            const hashes = Array.from(new Set(rows.map(row => row.hash)));
+            this.requestHashCounts.push({ range: this.range, page: request, hashes: hashes.length });
+
+            this.emitEvent('page', { page: request, hashes, rows, classification: null });
+            if (newHashes.length > 0) this.emitEvent('hashes', { page: request, hashes: newHashes });
+            this.emitEvent('progress', { completed: this.requests, failed: 0, total: null });
+
+            if (reachedKnown) {
+                console.log(`${this.query.name} (${action}): reached hashes from the previous run at request ${request}`);
+                return;
+            }
+            if (items.length < API_PAGE_SIZE) return;
+
+            // Full page: continue below the oldest block seen. Rows of that block may continue on the
+            // next page, so it stays in the window; only when a single block fills the window do we page within it.
+            const oldestBlock = Number(items[items.length - 1].blockNumber);
+            if (oldestBlock === windowEnd) {
+                page++;
+                if (page * API_PAGE_SIZE > MAX_WINDOW_ROWS) {
+                    console.warn(`${this.query.name} (${action}): block ${oldestBlock} has more than ${MAX_WINDOW_ROWS} rows, results may be truncated`);
+                    this.truncated.push({
+                        range: { fromBlock: oldestBlock, toBlock: oldestBlock },
+                        reason: `${action}: more than ${MAX_WINDOW_ROWS} rows in one block`
+                    });
+                    windowEnd = oldestBlock - 1;
+                    page = 1;
+                }
+            } else {
+                windowEnd = oldestBlock;
+                page = 1;
+            }
+            if (windowEnd < startBlock) return;
+        }
+    }
+
+    async scrappe() {
+        const startTime = Date.now();
+        const { startBlock, endBlock } = await this.blockBounds();
+        const seen = new Set();
+
+        for (const apiQuery of API_QUERIES[this.query.name]) {
+            if (this.stopped) break;
+            await this.fetchAction(apiQuery, startBlock, endBlock, seen);
+        }
+
+        this.hashCount = seen.size;
+        const seconds = Math.round((Date.now() - startTime) / 1000);
+        console.log(`${this.query.name} (API): ${seen.size} unique hashes from ${this.requests} requests in ${seconds}s`);
+        return Array.from(seen);
+    }
+}
@@ -0,0 +1,792 @@
+import { EventEmitter } from 'events';
+import { parseRows, parseResultSize } from './rowParser.js';
+import { WindowPool } from './windowPool.js';
+import { buildQueryUrl, validateQuery, maxPages, PAGE_SIZE } from './queries.js';
+import { splitRange, closeRange, describeRange } from './ranges.js';
+import { validateOptions } from './options.js';
+import { classifyPage, classifyError, RETRY_POLICY, BLOCKING_TYPES, PAGE_TYPES } from './pageClassifier.js';
+
+// Challenge rounds a single page may go through before it counts as failed
+const MAX_CHALLENGE_ROUNDS = 2;
+
+// Times page 1 is loaded to find the size of a result set before giving up
+const DETECT_ATTEMPTS = 3;
+
+// Polled in the page before the result size is read: true once the pagination is there, or when
+// the page has nothing that needs it (no results, or fewer than one full page)
+const PAGINATION_READY = `
+    (function() {
+        const info = document.querySelector('.page-link.text-nowrap');
+        if (info && /Page \\d+ of \\d+/.test(info.textContent)) return true;
+        if (document.readyState !== 'complete') return false;
+        const rows = Array.from(document.querySelectorAll('table tbody tr'))
+            .filter(row => row.querySelector('a[href*="/tx/0x"]'));
+        return rows.length < ${PAGE_SIZE};
+    })()
+`;
+
+// Why a range that could not be split any further may be missing results
+const UNSPLITTABLE = 'result limit reached and the range cannot be split further';
+
+// Polled before a page is read from the DOM, instead of sleeping a fixed time: true once the table
+// has transaction rows, or once the page has loaded with a placeholder row or without any table
+const TABLE_READY = `
+    (function() {
+        if (document.querySelector('table tbody tr a[href*="/tx/0x"]')) return true;
+        if (document.readyState !== 'complete') return false;
+        return !document.querySelector('table') || document.querySelectorAll('table tbody tr').length > 0;
+    })()
+`;
+
+// Events a scraper emits; runScraper forwards them to its job handle
+export const SCRAPER_EVENTS = ['page', 'hashes', 'retry', 'blocked', 'progress'];
+
+// Generic advanced-filter scraper. Window handling, batching, retries and parsing live here;
+// what gets scraped is defined by the query object (see queries.js).
+// Options are the runScraper options (see options.js), plus optional checkpoint, pool and range.
+export class BaseScrapper extends EventEmitter {
+    constructor(electronApp, query, address, options = {}) {
+        super();
+        const { checkpoint = null, pool = null, sessionManager = null, range, ...userOptions } = options;
+        const settings = validateOptions(userOptions);
+
+        this.app = electronApp;
+        this.query = validateQuery(query);
+        this.address = address;
+        this.userOptions = userOptions; // Passed on to sub-range scrapers
+        this.range = range !== undefined ? range : settings.range; // Optional block/date range, see ranges.js
+        this.maxWindows = settings.maxWindows;
+        this.totalPages = settings.totalPages;
+        this.explorer = settings.explorer; // Etherscan-family site to scrape, see explorers.js
+        this.options = settings;
+
+        this.failedPages = new Set(); // Track failed pages for retry
+        this.pageClassifications = new Map(); // Latest classification per page ({ type, reason })
+        this.processedPages = new Set(); // Track for progress logging
+        this.pageRows = new Map(); // Parsed table rows per page
+        this.pageHashCounts = new Map(); // Hashes found per page, for the run report
+        this.checkpoint = checkpoint; // Optional CheckpointStore for resumable runs
+        this.sessionManager = sessionManager; // Optional SessionManager to solve challenges mid-run
+        this.rangeScrappers = null; // Per-sub-range scrapers when the range had to be split
+        this.knownHashes = null; // Incremental mode: hashes from previous runs, paging stops once one shows up
+        this.stoppedAtPage = null; // First page that contained a known hash
+        this.stopped = false; // Set by stop(): no new pages are started
+        this.plannedPages = 0; // Pages this run intends to scrape, for progress events
+        this.totalRows = null; // Rows in the result set as shown by the explorer, when it shows them
+        this.hashCount = 0; // Unique hashes of the finished run
+        this.truncated = null; // Why results past the scraped pages may be missing, if they may
+
+        // Borrow windows from a shared pool, or own a private one when used standalone
+        this.ownsPool = !pool;
+        this.pool = pool || new WindowPool(this.maxWindows, {
+            headless: this.options.headless,
+            offscreen: this.options.offscreen,
+            windowCooldown: this.options.windowCooldown,
+            minRequestInterval: this.options.minRequestInterval,
+            partition: this.explorer.partition,
+            adaptiveRate: this.options.adaptiveRate,
+            proxies: this.options.proxies,
+            maxProxyFailures: this.options.maxProxyFailures,
+            capture: this.options.capture,
+            blockResources: this.options.blockResources,
+            blockedTypes: this.options.blockedTypes,
+            blockedUrls: this.options.blockedUrls
+        });
+    }
+
+    // Emit an event tagged with the chain, address, query name and range it belongs to
+    emitEvent(event, data) {
+        this.emit(event, { chain: this.explorer.id, address: this.address, type: this.query.name, range: this.range, ...data });
+    }
+
+    emitProgress() {
+        this.emitEvent('progress', {
+            completed: this.processedPages.size,
+            failed: this.failedPages.size,
+            total: this.plannedPages,
+            totalRows: this.totalRows,
+            rate: this.pool.rate.snapshot()
+        });
+    }
+
+    // Report a scraped page: 'page' with everything on it, 'hashes' with the ones not seen earlier in this run
+    emitPageEvents(page, hashes, rows, newHashes) {
+        const classification = this.pageClassifications.get(page) || null;
+        this.emitEvent('page', { page, hashes, rows, classification });
+        if (newHashes.length > 0) {
+            this.emitEvent('hashes', { page, hashes: newHashes });
+        }
+        this.emitProgress();
+    }
+
+    createUrl(page, range = this.range) {
+        return buildQueryUrl(this.query, this.address, page, range, this.explorer);
+    }
+
+    // Load and classify one page. The HTML comes from the captured response in 'network' capture mode,
+    // from the rendered document otherwise (or when the response has no table yet). options.range
+    // overrides the scraper's range; options.waitFor is a script polled (up to pageTimeout) until it
+    // returns true before the document is read, in either capture mode.
+    async scrapePage(page, options = {}) {
+        const url = this.createUrl(page, options.range);
+        const window = await this.pool.acquire();
+        const { proxy, partition } = this.pool.sessionOf(window); // Where a block has to be solved
+
+        const capture = this.pool.captureOf(window);
+        const captured = capture && await capture.attach() ? capture.expectDocument(url) : null;
+
+        // Generate unique ID for this page processing
+        const uniqueId = `${Date.now()}_${page}_${Math.random().toString(36).substr(2, 9)}`;
+
+        // HTTP status of the main document, from the navigation event
+        let httpStatus = null;
+        const navigateHandler = (event, navigatedUrl, httpResponseCode) => {
+            httpStatus = httpResponseCode || null;
+        };
+        window.webContents.on('did-navigate', navigateHandler);
+
+        try {
+            let htmlContent;
+            if (captured) {
+                // The response is complete once the document request finishes; load failures reject the capture
+                window.loadURL(url).catch(() => { });
+                const response = await Promise.race([
+                    captured,
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error('Page load timeout')), this.options.pageTimeout)
+                    )
+                ]);
+                httpStatus = response.status;
+                htmlContent = response.body;
+
+                // Tables rendered by scripts are not in the response, and neither may be what a waitFor
+                // script looks for (e.g. the pagination); read those from the page once they show up
+                const { type } = classifyPage(htmlContent, httpStatus);
+                if (type === PAGE_TYPES.UNKNOWN || (options.waitFor && type === PAGE_TYPES.RESULTS)) {
+                    htmlContent = await this.readDocument(window, options.waitFor || TABLE_READY);
+                }
+            } else {
+                await this.loadDocument(window, url);
+                htmlContent = await this.readDocument(window, options.waitFor || TABLE_READY);
+            }
+
+            // Classify by HTTP status and page structure (challenge, rate limit, empty, results...)
+            const classification = classifyPage(htmlContent, httpStatus);
+            if (RETRY_POLICY[classification.type].retry) {
+                console.warn(`Page ${page}: ${classification.type} (${classification.reason})`);
+                if (BLOCKING_TYPES.includes(classification.type)) {
+                    this.emitEvent('blocked', { page, reason: classification.type, classification, proxy });
+                }
+                return { page, htmlContent: null, uniqueId: null, classification, status: httpStatus, proxy, partition };
+            }
+
+            // Process directly in memory - no temporary file needed!
+            return { page, htmlContent, uniqueId, classification, status: httpStatus, proxy, partition };
+
+        } catch (error) {
+            // More specific error handling
+            const errorMsg = error.message || 'Unknown error';
+            if (errorMsg.includes('ERR_ABORTED')) {
+                console.warn(`Page ${page} request was aborted - likely rate limited`);
+            } else if (errorMsg.includes('timeout')) {
+                console.warn(`Page ${page} timed out - server may be slow`);
+            } else {
+                console.error('Error scraping page ' + page + ':', errorMsg);
+            }
+            return { page, htmlContent: null, uniqueId: null, classification: classifyError(error), status: httpStatus, proxy, partition };
+        } finally {
+            capture?.cancel();
+            if (!window.isDestroyed()) window.webContents.removeListener('did-navigate', navigateHandler);
+            this.pool.release(window);
+        }
+    }
+
+    // Load url in the window, resolving on dom-ready / did-stop-loading (DOM mode)
+    async loadDocument(window, url) {
+        // Optimized loading with proper event cleanup
+        await Promise.race([
+            new Promise(async (resolve, reject) => {
+                try {
+                    let resolved = false;
+                    const resolveOnce = () => {
+                        if (!resolved) {
+                            resolved = true;
+                            cleanup();
+                            resolve({ success: true });
+                        }
+                    };
+
+                    const rejectOnce = (error) => {
+                        if (!resolved) {
+                            resolved = true;
+                            cleanup();
+                            reject(error);
+                        }
+                    };
+
+                    // Event handlers
+                    const domReadyHandler = () => resolveOnce();
+                    const stopLoadingHandler = () => resolveOnce();
+                    const failLoadHandler = (event, errorCode, errorDescription) => {
+                        rejectOnce(new Error(`Navigation failed: ${errorCode} - ${errorDescription}`));
+                    };
+
+                    // Cleanup function to remove all listeners
+                    const cleanup = () => {
+                        window.webContents.removeListener('dom-ready', domReadyHandler);
+                        window.webContents.removeListener('did-stop-loading', stopLoadingHandler);
+                        window.webContents.removeListener('did-fail-load', failLoadHandler);
+                    };
+
+                    // Add event listeners
+                    window.webContents.once('dom-ready', domReadyHandler);
+                    window.webContents.once('did-stop-loading', stopLoadingHandler);
+                    window.webContents.once('did-fail-load', failLoadHandler);
+
+                    await window.loadURL(url);
+
+                    // Fallback resolution if events don't fire
+                    setTimeout(() => {
+                        if (!resolved) {
+                            resolveOnce();
+                        }
+                    }, 200);
+
+                } catch (error) {
+                    reject(error);
+                }
+            }),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('Page load timeout')), this.options.pageTimeout)
+            )
+        ]);
+    }
+
+    // The rendered document, once script returns true in the page (or pageTimeout passes)
+    async readDocument(window, script) {
+        await this.waitForContent(window, script);
+
+        // Get HTML content with timeout and error handling
+        return Promise.race([
+            window.webContents.executeJavaScript('document.documentElement.outerHTML').catch(err => {
+                throw new Error(`JS execution failed: ${err.message}`);
+            }),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('HTML extraction timeout')), 5000)
+            )
+        ]);
+    }
+
+    async waitForContent(window, script) {
+        const deadline = Date.now() + this.options.pageTimeout;
+        while (Date.now() < deadline) {
+            const ready = await window.webContents.executeJavaScript(script).catch(() => false);
+            if (ready) return true;
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        return false;
+    }
+
+    parseHTMLForHashes(htmlContent, page) {
+        try {
+            // Ultra-fast regex parsing with pre-compiled pattern
+            const hashRegex = /href="[^"]*\/tx\/(0x[a-fA-F0-9]{64})"/g;
+            const hashSet = new Set();
+            let match;
+            let matchCount = 0;
+
+            // Use while loop for maximum performance
+            while ((match = hashRegex.exec(htmlContent)) !== null) {
+                hashSet.add(match[1]);
+                matchCount++;
+
+                // Safety check to avoid infinite loops
+                if (matchCount > 10000) {
+                    console.warn('Page ' + page + ': Too many matches, breaking early');
+                    break;
+                }
+            }
+
+            const hashes = Array.from(hashSet);
+            return hashes;
+
+        } catch (error) {
+            console.error('Error parsing HTML for page ' + page + ':', error);
+            return [];
+        }
+    }
+
+    parseHTMLForRows(htmlContent, page) {
+        try {
+            return parseRows(htmlContent).map(row => ({ ...row, page }));
+        } catch (error) {
+            console.error('Error parsing rows for page ' + page + ':', error);
+            return [];
+        }
+    }
+
+    // Pages that still failed after retries (across sub-ranges for split scrapes)
+    get failedCount() {
+        if (this.rangeScrappers) {
+            return this.rangeScrappers.reduce((sum, scrapper) => sum + scrapper.failedCount, 0);
+        }
+        return this.failedPages.size;
+    }
+
+    sortedFailedPages() {
+        return Array.from(this.failedPages).sort((a, b) => a - b);
+    }
+
+    // What the run covered: pages planned, scraped and failed (with the reason of their last attempt),
+    // hashes per page and duplicates across pages. complete is false when a page failed or results
+    // past the scraped pages may be missing; sub-range scrapes are merged into one report.
+    getReport() {
+        const scrappers = this.rangeScrappers || [this];
+        const failedPages = scrappers.flatMap(scrapper => scrapper.sortedFailedPages().map(page => {
+            const { type = null, reason = null } = scrapper.pageClassifications.get(page) || {};
+            return { range: scrapper.range, page, type, reason };
+        }));
+        const hashesPerPage = scrappers.flatMap(scrapper => Array.from(scrapper.pageHashCounts.keys())
+            .sort((a, b) => a - b)
+            .map(page => ({ range: scrapper.range, page, hashes: scrapper.pageHashCounts.get(page) })));
+        const truncated = scrappers
+            .filter(scrapper => scrapper.truncated)
+            .map(scrapper => ({ range: scrapper.range, reason: scrapper.truncated }));
+
+        const planned = scrappers.reduce((sum, scrapper) => sum + scrapper.plannedPages, 0);
+        const succeeded = scrappers.reduce((sum, scrapper) => sum + scrapper.processedPages.size, 0);
+        const total = hashesPerPage.reduce((sum, entry) => sum + entry.hashes, 0);
+
+        return {
+            type: this.query.name,
+            range: this.range,
+            complete: failedPages.length === 0 && truncated.length === 0,
+            pages: {
+                planned,
+                succeeded,
+                failed: failedPages.length,
+                skipped: Math.max(0, planned - succeeded - failedPages.length) // Past the stop page of an incremental run
+            },
+            failedPages,
+            truncated,
+            hashes: { unique: this.hashCount, total, duplicates: total - this.hashCount },
+            hashesPerPage
+        };
+    }
+
+    checkKnownHashes(page, hashes) {
+        if (this.knownHashes && hashes.some(hash => this.knownHashes.has(hash))) {
+            this.stoppedAtPage = Math.min(this.stoppedAtPage ?? page, page);
+        }
+    }
+
+    // All parsed rows in page order (sub-range by sub-range for split scrapes)
+    getRows() {
+        if (this.rangeScrappers) {
+            return this.rangeScrappers.flatMap(scrapper => scrapper.getRows());
+        }
+        return Array.from(this.pageRows.keys())
+            .sort((a, b) => a - b)
+            .flatMap(page => this.pageRows.get(page));
+    }
+
+    async parseHTMLAsync(pageData) {
+        return new Promise((resolve) => {
+            setImmediate(() => {
+                try {
+                    if (!pageData.htmlContent) {
+                        resolve({ page: pageData.page, hashes: [] });
+                        return;
+                    }
+
+                    const hashes = this.parseHTMLForHashes(pageData.htmlContent, pageData.page);
+                    resolve({ page: pageData.page, hashes });
+                } catch (error) {
+                    console.error('Error in async parsing for page ' + pageData.page + ':', error);
+                    resolve({ page: pageData.page, hashes: [] });
+                }
+            });
+        });
+    }
+
+    // Split a range (or the full history) by block or date until every piece fits within the explorer's
+    // result limit. Returns [{ range, pages, rows, truncated? }] so the sizes detected here can be reused.
+    async planRanges(range) {
+        const { piece, halves } = await this.planRange(range);
+        if (piece) return [piece];
+
+        const planned = [];
+        for (const half of halves) {
+            planned.push(...await this.planRanges(half));
+        }
+        return planned;
+    }
+
+    // Decide how to scrape one range: { piece } as it is, or { halves } to split it into. Splitting only
+    // pays off when the result set is past the explorer's limit and totalPages asks for more pages than
+    // that. Splits go into the checkpoint, and a resumed run takes them from there.
+    async planRange(range) {
+        const recorded = this.checkpoint?.splitOf(range);
+        if (recorded) return { halves: recorded };
+
+        const { pages, rows, rowsCapped, newestBlock } = await this.detectResultSize(range);
+        const limit = maxPages(this.explorer);
+        const pastLimit = rowsCapped || (rows !== null ? rows > this.explorer.maxResultRows : pages >= limit);
+        if (!pastLimit) return { piece: { range, pages, rows } };
+
+        if (this.totalPages <= limit) {
+            const reason = `totalPages limits the scrape to ${this.totalPages} pages of ${rows ?? 'over ' + this.explorer.maxResultRows} rows`;
+            return { piece: { range, pages, rows, truncated: reason } };
+        }
+
+        // Open bounds are closed first; the newest block of page 1 bounds the full history
+        const halves = splitRange(closeRange(range, newestBlock));
+        if (!halves) {
+            console.warn(`${describeRange(range)}: ${pages} pages and the range cannot be split further - results may be truncated`);
+            return { piece: { range, pages, rows, truncated: UNSPLITTABLE } };
+        }
+
+        console.log(`${describeRange(range)}: ${rows ?? 'over ' + this.explorer.maxResultRows} rows exceed the ${limit}-page limit, splitting`);
+        this.checkpoint?.recordSplit(range, halves);
+        this.checkpoint?.save();
+        return { halves };
+    }
+
+    // Stop starting pages; those in flight finish and are checkpointed, and scrappe() resolves with them
+    stop() {
+        this.stopped = true;
+        this.rangeScrappers?.forEach(scrapper => scrapper.stop());
+    }
+
+    // Scrape the halves of a split range, each piece with its own scraper sharing this one's window pool
+    async scrappeRanges(halves) {
+        const allHashesSet = new Set();
+        this.rangeScrappers = [];
+
+        if (this.knownHashes) {
+            await this.scrappeNewestFirst(halves, allHashesSet);
+        } else {
+            const planned = [];
+            for (const half of halves) {
+                planned.push(...await this.planRanges(half));
+            }
+            this.totalRows = planned.every(piece => piece.rows !== null)
+                ? planned.reduce((sum, piece) => sum + piece.rows, 0)
+                : null;
+
+            for (const piece of planned) {
+                if (this.stopped) break;
+                await this.scrappePiece(piece, allHashesSet);
+            }
+        }
+
+        this.hashCount = allHashesSet.size;
+        return Array.from(allHashesSet);
+    }
+
+    // Incremental runs only want what is newer than the last run: ranges are sized and scraped newest
+    // first, and the walk ends at the first piece that reaches a known hash. Older history is left alone.
+    async scrappeNewestFirst(ranges, allHashesSet) {
+        for (const range of [...ranges].reverse()) {
+            if (this.stopped || this.rangeScrappers.some(scrapper => scrapper.stoppedAtPage !== null)) return;
+
+            const { piece, halves } = await this.planRange(range);
+            if (piece) {
+                await this.scrappePiece(piece, allHashesSet);
+            } else {
+                await this.scrappeNewestFirst(halves, allHashesSet);
+            }
+        }
+    }
+
+    // Scrape one planned piece with its own scraper, sharing this one's window pool
+    async scrappePiece({ range, pages, rows, truncated = null }, allHashesSet) {
+        const checkpoint = this.checkpoint ? this.checkpoint.forRange(range) : null;
+        const scrapper = new BaseScrapper(this.app, this.query, this.address, {
+            ...this.userOptions,
+            checkpoint,
+            pool: this.pool,
+            sessionManager: this.sessionManager,
+            range
+        });
+        scrapper.knownHashes = this.knownHashes;
+        scrapper.totalRows = rows;
+        scrapper.truncated = truncated;
+        SCRAPER_EVENTS.forEach(event => scrapper.on(event, data => this.emit(event, data)));
+        this.rangeScrappers.push(scrapper);
+
+        console.log(`Scraping ${this.query.name} ${describeRange(range)} (${pages} pages)`);
+        const hashes = await scrapper.scrappe(pages);
+        hashes.forEach(hash => allHashesSet.add(hash));
+    }
+
+    async scrappe(knownTotalPages = null) {
+        // First detect the size of the result set; one past the explorer's limit is split so nothing gets cut off
+        if (knownTotalPages === null) {
+            const { piece, halves } = await this.planRange(this.range);
+            if (halves) {
+                return this.scrappeRanges(halves);
+            }
+            knownTotalPages = piece.pages;
+            this.totalRows = piece.rows;
+            this.truncated = piece.truncated ?? null;
+        }
+
+        const actualTotalPages = Math.min(knownTotalPages, this.totalPages); // Use detected or configured, whichever is smaller
+        if (knownTotalPages > this.totalPages) {
+            this.truncated = this.truncated || `totalPages limits the scrape to ${this.totalPages} of ${knownTotalPages} pages`;
+        }
+        this.plannedPages = actualTotalPages;
+        const allHashesSet = new Set();
+        const processedPages = new Set();
+        let completedCount = 0;
+
+        // Restore pages completed by a previous run from the checkpoint
+        if (this.checkpoint) {
+            this.checkpoint.completedPages().forEach(page => {
+                const { hashes, rows } = this.checkpoint.getPage(page);
+                hashes.forEach(hash => allHashesSet.add(hash));
+                this.pageRows.set(page, rows);
+                this.pageHashCounts.set(page, hashes.length);
+                processedPages.add(page);
+                this.processedPages.add(page);
+                this.checkKnownHashes(page, hashes);
+            });
+        }
+
+        // In-flight pages; the window pool handles per-window cooldown and the global rate limit
+        const activePromises = new Set();
+
+        // Create a more efficient processing pipeline
+        const processPage = (page) => {
+            const pagePromise = this.scrapePageSafe(page)
+                .then(async (result) => {
+                    this.pageClassifications.set(page, result.classification);
+                    if (result.htmlContent) {
+                        // Parse immediately in the same promise chain for max speed
+                        const hashes = this.parseHTMLForHashes(result.htmlContent, page);
+                        const rows = this.parseHTMLForRows(result.htmlContent, page);
+                        this.pageRows.set(page, rows);
+                        this.pageHashCounts.set(page, hashes.length);
+                        this.checkpoint?.recordPage(page, hashes, rows);
+
+                        // Add hashes to global set immediately
+                        const newHashes = hashes.filter(hash => !allHashesSet.has(hash));
+                        newHashes.forEach(hash => allHashesSet.add(hash));
+                        this.checkKnownHashes(page, hashes);
+                        if (!processedPages.has(page)) {
+                            processedPages.add(page);
+                            this.processedPages.add(page); // Track for progress logging
+                            completedCount++;                            // Progress logging
+                            this.emitPageEvents(page, hashes, rows, newHashes);
+                        }
+                        // Memory-only processing - no temp file deletion needed
+                        return { page, hashCount: hashes.length };
+                    } else {
+                        // Track failed page for potential retry
+                        this.failedPages.add(page);
+                        this.emitProgress();
+                        return { page, hashCount: 0 };
+                    }
+                })
+                .catch(error => {
+                    console.error(`Error processing page ${page}:`, error);
+                    this.failedPages.add(page);
+                    return { page, hashCount: 0 };
+                });
+
+            activePromises.add(pagePromise);
+            pagePromise.finally(() => activePromises.delete(pagePromise));
+            return pagePromise;
+        };        // Launch all pages with intelligent batching and rate limiting
+        let batchStart = 1;
+
+        // Results are newest first, so in incremental mode nothing past a page with known hashes is new
+        while (batchStart <= actualTotalPages && this.stoppedAtPage === null && !this.stopped) {
+            // Batches follow the window count the rate controller currently allows
+            const batchEnd = Math.min(batchStart + this.pool.rate.windows - 1, actualTotalPages);
+            const currentBatch = [];
+
+            // Create batch of promises
+            for (let page = batchStart; page <= batchEnd; page++) {
+                if (this.checkpoint?.isCompleted(page)) continue; // Done in a previous run
+                currentBatch.push(processPage(page));
+            }
+
+            //console.log(`Launching batch: pages ${batchStart}-${batchEnd} (${currentBatch.length} pages)`);
+
+            // Process batch with timeout for resilience
+            await Promise.allSettled(currentBatch.map(p =>
+                Promise.race([
+                    p,
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error('Batch timeout')), 45000)
+                    )
+                ])
+            ));
+
+            // Persist progress so an interrupted run can resume from here
+            this.checkpoint?.save();
+
+            batchStart = batchEnd + 1;
+            // Pacing adapts per page in the pool's rate controller; this is only a fixed pause between batches
+            if (batchStart <= actualTotalPages && this.options.batchDelay > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.options.batchDelay));
+            }
+        }
+
+        // Final wait for any stragglers
+        //console.log('Finalizing remaining requests...');
+        await Promise.allSettled(Array.from(activePromises));
+
+        if (this.stoppedAtPage !== null) {
+            console.log(`${this.query.name}: page ${this.stoppedAtPage} reaches hashes from a previous run, stopped paging`);
+            // Failures past that page no longer matter
+            this.failedPages.forEach(page => {
+                if (page > this.stoppedAtPage) this.failedPages.delete(page);
+            });
+        }
+
+        // Automatic retry of failed pages
+        if (this.options.autoRetryFailed && this.failedPages.size > 0 && !this.stopped) {
+            console.log(`Retrying ${this.failedPages.size} failed pages...`);
+            await this.retryFailedPages(allHashesSet);
+        }
+        if (this.failedPages.size > 0) {
+            console.warn(`${this.query.name} ${describeRange(this.range)}: pages ${this.sortedFailedPages().join(', ')} still failed after retries`);
+        }
+        this.checkpoint?.save();
+
+        // Collected after the retry pass, so hashes of recovered pages are included
+        this.hashCount = allHashesSet.size;
+        return Array.from(allHashesSet);
+    }
+
+    // Automatic retry of failed pages
+    async retryFailedPages(allHashesSet) {
+        const failedArray = Array.from(this.failedPages);
+        console.log(`Retrying ${failedArray.length} failed pages: ${failedArray.join(', ')}`);
+
+        const retryPromises = failedArray.map(async (page) => {
+            try {
+                const result = await this.scrapePageSafe(page);
+                this.pageClassifications.set(page, result.classification);
+                if (result.htmlContent) {
+                    const hashes = this.parseHTMLForHashes(result.htmlContent, page);
+                    const rows = this.parseHTMLForRows(result.htmlContent, page);
+                    this.pageRows.set(page, rows);
+                    this.pageHashCounts.set(page, hashes.length);
+                    this.checkpoint?.recordPage(page, hashes, rows);
+                    const newHashes = hashes.filter(hash => !allHashesSet.has(hash));
+                    newHashes.forEach(hash => allHashesSet.add(hash));
+                    this.failedPages.delete(page); // Remove from failed list
+                    this.processedPages.add(page);
+                    this.emitPageEvents(page, hashes, rows, newHashes);
+                    console.log(`Retry successful for page ${page}: ${hashes.length} hashes`);
+                    return { page, success: true, hashCount: hashes.length };
+                }
+            } catch (error) {
+                console.warn(`Retry failed for page ${page}:`, error.message);
+            }
+            return { page, success: false, hashCount: 0 };
+        });
+
+        const retryResults = await Promise.allSettled(retryPromises);
+        const successful = retryResults.filter(r => r.status === 'fulfilled' && r.value.success).length;
+        console.log(`Retry completed: ${successful}/${failedArray.length} pages recovered`);
+    }
+
+    // Scrape a page with retries. The page classification decides whether and how long to back off;
+    // a Cloudflare challenge pauses the run until it is solved instead of burning an attempt.
+    async scrapePageSafe(page, options = {}) {
+        const maxRetries = this.options.maxRetries;
+        let lastResult = null;
+        let challengeRounds = 0;
+
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            let result;
+            try {
+                result = await this.scrapePage(page, options);
+            } catch (error) {
+                result = { page, htmlContent: null, uniqueId: null, classification: classifyError(error), status: null };
+            }
+            lastResult = result;
+
+            const { type, reason } = result.classification;
+            this.pool.report(result.classification, result.proxy);
+            const policy = RETRY_POLICY[type];
+
+            // Results and empty pages are final
+            if (!policy.retry) {
+                return result;
+            }
+
+            if (policy.challenge && this.sessionManager && challengeRounds < MAX_CHALLENGE_ROUNDS) {
+                challengeRounds++;
+                console.warn(`🛡️ Page ${page}: Cloudflare challenge, pausing until it is solved`);
+                // Clearance is per partition: solve the challenge in the session (and through the proxy) that got it
+                const manager = this.sessionManager.forPartition(result.partition);
+                if (await manager.handleBlock(this.pool, this.createUrl(page, options.range))) {
+                    attempt--;
+                    continue;
+                }
+            }
+
+            if (attempt < maxRetries) {
+                const delay = Math.min(policy.delay * attempt, policy.maxDelay);
+                console.warn(`Page ${page} attempt ${attempt} failed (${type}: ${reason}) - retrying in ${delay}ms...`);
+                this.emitEvent('retry', { page, attempt, delay, reason, classification: result.classification });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        const { type, reason } = lastResult.classification;
+        console.error(`Failed to scrape page ${page} after ${maxRetries} attempts: ${type} (${reason})`);
+        return { page, htmlContent: null, uniqueId: null, classification: lastResult.classification, status: lastResult.status };
+    }
+
+    // Clean up resources when done; a shared pool is destroyed by its owner
+    cleanup() {
+        if (this.ownsPool) {
+            console.log('Cleaning up browser windows...');
+            this.pool.destroy();
+        }
+    }
+
+    // Size of a result set from its first page: { pages, rows, rowsCapped, newestBlock }. Page 1 goes
+    // through the same classification, retries and challenge handling as any page, and the pagination
+    // is waited for instead of assumed. Throws when the size cannot be found, rather than guessing.
+    async detectResultSize(range = this.range) {
+        for (let attempt = 1; attempt <= DETECT_ATTEMPTS; attempt++) {
+            const result = await this.scrapePageSafe(1, { range, waitFor: PAGINATION_READY });
+            if (result.classification.type === PAGE_TYPES.EMPTY) {
+                return { pages: 0, rows: 0, rowsCapped: false, newestBlock: null };
+            }
+
+            if (result.htmlContent) {
+                const size = parseResultSize(result.htmlContent);
+                const rows = parseRows(result.htmlContent);
+                const blocks = rows.map(row => row.block).filter(block => block !== null);
+                const newestBlock = blocks.length > 0 ? Math.max(...blocks) : null;
+
+                if (size.pages) {
+                    return { ...size, newestBlock };
+                }
+                // Less than a full page needs no pagination
+                if (rows.length < PAGE_SIZE) {
+                    return { pages: 1, rows: size.rows ?? rows.length, rowsCapped: false, newestBlock };
+                }
+            }
+
+            console.warn(`${this.query.name} ${describeRange(range)}: result size not found (attempt ${attempt}/${DETECT_ATTEMPTS})`);
+            if (attempt < DETECT_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+            }
+        }
+
+        throw new Error(`Could not detect the number of pages of ${this.query.name} ${describeRange(range)}`);
+    }
+
+    async detectTotalPages(range = this.range) {
+        return (await this.detectResultSize(range)).pages;
+    }}
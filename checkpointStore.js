@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { rangeKey } from './ranges.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, 'checkpoints');
+
+// On-disk record of the pages a scrape has completed, keyed by address + transaction type
+// (+ block/date range), so an interrupted run can be resumed without re-fetching those pages.
+export class CheckpointStore {
+    constructor(address, txnType, checkpointDir = DEFAULT_CHECKPOINT_DIR, range = null) {
+        this.address = address.toLowerCase();
+        this.txnType = txnType;
+        this.checkpointDir = checkpointDir;
+        this.range = range;
+        const suffix = range ? `_${rangeKey(range)}` : '';
+        this.file = path.join(checkpointDir, `${this.address}_${txnType}${suffix}.json`);
+        this.pages = new Map(); // page -> { hashes, rows }
+        this.splits = new Map(); // rangeKey of a range the scrape split -> its two halves
+        this.dirty = false;
+        this.loaded = false;
+    }
+
+    // Every checkpoint stored for an address: both transaction types, whole and split ranges
+    static forAddress(address, checkpointDir = DEFAULT_CHECKPOINT_DIR) {
+        if (!fs.existsSync(checkpointDir)) return [];
+
+        const prefix = `${address.toLowerCase()}_`;
+        return fs.readdirSync(checkpointDir)
+            .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+            .map(file => {
+                try {
+                    const data = JSON.parse(fs.readFileSync(path.join(checkpointDir, file), 'utf8'));
+                    return new CheckpointStore(address, data.txnType, checkpointDir, data.range).load();
+                } catch (error) {
+                    console.error(`Error reading checkpoint ${file}:`, error.message);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    // Halves a range was split into by the run being resumed, or null. Splits of open ranges depend on
+    // the newest block at the time, so a resumed run has to reuse them to find its sub-range checkpoints.
+    splitOf(range) {
+        return this.splits.get(rangeKey(range) ?? '') || null;
+    }
+
+    recordSplit(range, halves) {
+        this.splits.set(rangeKey(range) ?? '', halves);
+        this.dirty = true;
+    }
+
+    // Checkpoint for a sub-range of a split scrape; resumes only if this one was resumed
+    forRange(range) {
+        const store = new CheckpointStore(this.address, this.txnType, this.checkpointDir, range);
+        return this.loaded ? store.load() : store.reset();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+                Object.entries(data.pages || {}).forEach(([page, entry]) => {
+                    this.pages.set(parseInt(page, 10), entry);
+                });
+                Object.entries(data.splits || {}).forEach(([key, halves]) => this.splits.set(key, halves));
+            }
+        } catch (error) {
+            console.error(`Error loading checkpoint ${this.file}:`, error.message);
+            this.pages.clear();
+            this.splits.clear();
+        }
+        this.loaded = true;
+        return this;
+    }
+
+    reset() {
+        this.pages.clear();
+        this.splits.clear();
+        this.dirty = false;
+        try {
+            if (fs.existsSync(this.file)) {
+                fs.unlinkSync(this.file);
+            }
+        } catch (error) {
+            console.error(`Error clearing checkpoint ${this.file}:`, error.message);
+        }
+        return this;
+    }
+
+    get completedCount() {
+        return this.pages.size;
+    }
+
+    isCompleted(page) {
+        return this.pages.has(page);
+    }
+
+    completedPages() {
+        return Array.from(this.pages.keys()).sort((a, b) => a - b);
+    }
+
+    getPage(page) {
+        return this.pages.get(page) || null;
+    }
+
+    recordPage(page, hashes, rows = []) {
+        this.pages.set(page, { hashes, rows });
+        this.dirty = true;
+    }
+
+    // Write pending changes; the temp file + rename keeps the checkpoint intact if we crash mid-write
+    save() {
+        if (!this.dirty) return;
+
+        try {
+            if (!fs.existsSync(this.checkpointDir)) fs.mkdirSync(this.checkpointDir, { recursive: true });
+
+            const data = {
+                address: this.address,
+                txnType: this.txnType,
+                range: this.range,
+                updatedAt: new Date().toISOString(),
+                pages: Object.fromEntries(this.pages),
+                splits: Object.fromEntries(this.splits)
+            };
+            const tempFile = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(data));
+            fs.renameSync(tempFile, this.file);
+            this.dirty = false;
+        } catch (error) {
+            console.error(`Error saving checkpoint ${this.file}:`, error.message);
+        }
+    }
+}
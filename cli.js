@@ -1,95 +1,593 @@
 #!/usr/bin/env node
 
 // CLI wrapper for the eth-scrapper module
-import { runScraper } from './index.js';
 import { spawn } from 'child_process';
 import path from 'path';
+import fs from 'fs';
+import os from 'os';
 import { fileURLToPath } from 'url';
+import { OPTION_RULES, validateOptions, isValidAddress, hasValidChecksum, toChecksumAddress } from './options.js';
+import { CheckpointStore, DEFAULT_CHECKPOINT_DIR } from './checkpointStore.js';
+import { SeenHashStore, DEFAULT_SEEN_DIR } from './seenHashStore.js';
+import { getHashes } from './hashStore.js';
+import { JobQueue, defaultQueueFile } from './jobQueue.js';
+import { resolveExplorer, explorerDir, CHAINS } from './explorers.js';
+import { createExporter, resolveFormat } from './exporters.js';
+import { describeRange } from './ranges.js';
+import { proxyPartition } from './proxies.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Parse command line arguments
-const args = process.argv.slice(2);
+// Same directory index.js gives Electron as userData; it holds the Cloudflare clearance cookie
+const USER_DATA_DIR = path.join(__dirname, 'electron-userdata');
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1, // The command could not complete
+    USAGE: 2, // Bad command, flag or address
+    PARTIAL: 3 // Completed, but some pages or batch addresses failed, or results may be missing
+};
+
+const COMMANDS = ['scrape', 'resume', 'batch', 'status', 'export', 'hashes', 'clear-session'];
+
+const TXN_TYPES = ['external', 'internal'];
+
+// Flags besides the scraper options, with the kind of value they take
+const EXTRA_FLAGS = {
+    concurrency: 'integer',
+    maxAttempts: 'integer',
+    queueFile: 'path',
+    since: 'string',
+    type: 'string',
+    json: 'boolean',
+    help: 'boolean'
+};
+
+// Options holding paths, resolved against the working directory
+const PATH_OPTIONS = ['checkpointDir', 'seenDir', 'rpcCacheDir', 'hashStoreDir', 'out'];
+
+class UsageError extends Error { }
 
-if (args.includes('--help') || args.includes('-h')) {
-    console.log(`
+const HELP = `
 🚀 Ethereum Transaction Scraper
 
 Usage:
-  npx @bcoders.gr/eth-scrapper [token_address] [max_windows] [total_pages]
-  
+  eth-scrapper scrape <address> [options]        Scrape an address
+  eth-scrapper resume <address> [options]        Continue an interrupted scrape from its checkpoint
+  eth-scrapper batch <file|address,...> [options]
+                                                 Scrape many addresses (file: one per line, # comments)
+  eth-scrapper status [address]                  Show checkpoint progress of an address, or the batch queue
+  eth-scrapper export <address> --out FILE       Write the rows checkpointed for an address to FILE
+  eth-scrapper hashes <address> [--since T]      List the hashes --store-hashes runs recorded for an address
+  eth-scrapper clear-session [--chain C]         Forget the stored Cloudflare clearance (of one explorer and its proxies)
+
 Examples:
-  npx @bcoders.gr/eth-scrapper 0x0023A1D0106185cBcC81b253a267b9d05015E0b7
-  npx @bcoders.gr/eth-scrapper 0x0023A1D0106185cBcC81b253a267b9d05015E0b7 10 500
+  npx @bcoders.gr/eth-scrapper scrape 0x0023A1D0106185cBcC81b253a267b9d05015E0b7
+  npx @bcoders.gr/eth-scrapper scrape 0x0023A1D0106185cBcC81b253a267b9d05015E0b7 --max-windows 10 --total-pages 500
+  npx @bcoders.gr/eth-scrapper resume 0x0023A1D0106185cBcC81b253a267b9d05015E0b7
+  npx @bcoders.gr/eth-scrapper scrape 0x0023A1D0106185cBcC81b253a267b9d05015E0b7 --from-date 2024-01-01 --to-date 2024-01-31
+  npx @bcoders.gr/eth-scrapper scrape 0x0023A1D0106185cBcC81b253a267b9d05015E0b7 --out transactions.csv
+  npx @bcoders.gr/eth-scrapper scrape 0x55d398326f99059fF775485246999027B3197955 --chain bsc
+  npx @bcoders.gr/eth-scrapper batch tokens.txt --concurrency 2
+  npx @bcoders.gr/eth-scrapper status 0x0023A1D0106185cBcC81b253a267b9d05015E0b7 --json
+
+Scraper options (scrape, resume, batch):
+  --chain C                   Explorer to scrape: ${CHAINS.join(', ')} (default: ethereum)
+  --explorer-url URL          Load explorer pages from URL instead, e.g. a local mock
+  --max-windows N             Maximum concurrent windows (default: 10)
+  --total-pages N             Maximum pages per query (default: 500)
+  --headless, --no-headless   Hide scraper windows (default: hidden)
+  --offscreen, --no-offscreen Use offscreen rendering (default: on)
+  --window-cooldown MS        Delay between two requests of one window (default: 300)
+  --min-request-interval MS   Delay between any two requests (default: 100)
+  --adaptive-rate, --no-adaptive-rate
+                              Slow down when pages get blocked, speed back up after (default: on)
+  --proxies FILE|URL,...      Spread the windows over these proxies (file: one per line, # comments)
+  --max-proxy-failures N      Blocked pages or proxy errors in a row before a proxy is dropped for 5 minutes (default: 3)
+  --auto-retry-failed, --no-auto-retry-failed
+                              Retry failed pages after the main pass (default: on)
+  --max-retries N             Attempts per page (default: 2)
+  --page-timeout MS           Page load timeout (default: 8000)
+  --capture M                 network (read the HTTP response) or dom (read the rendered page) (default: network)
+  --block-resources, --no-block-resources
+                              Block images, fonts, analytics and ads in scraper windows (default: on)
+  --blocked-types T,...       Resource types to block instead of: image, font, media, object, ping, cspReport
+  --blocked-urls FILE|P,...   URL patterns ('*' wildcards) to block instead of the built-in ad/analytics list
+  --batch-delay MS            Base delay between page batches (default: 100)
+  --incremental               Stop paging at transactions found by a previous run
+  --from-block N, --to-block N
+                              Only scrape transactions within this block range
+  --from-date YYYY-MM-DD, --to-date YYYY-MM-DD
+                              Only scrape transactions within this date range
+  --out FILE                  Stream parsed rows to FILE as pages complete
+  --format F                  jsonl, csv or sqlite (default: from the --out extension, else jsonl)
+  --backend B                 auto, api or scrape (default: auto - the API when a key is set)
+  --api-key KEY               Etherscan API key (default: $ETHERSCAN_API_KEY)
+  --api-url URL               API endpoint override
+  --api-rate-limit N          API calls per second (default: 5)
+  --rpc-url URL               Enrich the hashes with transactions and receipts from this JSON-RPC node
+  --rpc-batch-size N          Hashes per JSON-RPC batch request (default: 50)
+  --rpc-concurrency N         JSON-RPC batch requests in flight (default: 4)
+  --rpc-cache-dir DIR         Cache directory of mined transaction records
+  --verify                    Check the external transactions against the token's Transfer logs (needs --rpc-url
+                              and a block range, or none)
+  --log-chunk-size N          Blocks per eth_getLogs call (default: 10000)
+  --rescrape-gaps, --no-rescrape-gaps
+                              Scrape the blocks of transfers --verify found missing again (default: on)
+  --checkpoint-dir DIR        Checkpoint directory
+  --seen-dir DIR              Directory of the hashes used by --incremental
+  --store-hashes              Record every hash with its page and first/last seen time, across runs
+  --hash-store-dir DIR        Directory of the hashes recorded by --store-hashes
+
+Batch options:
+  --concurrency N             Addresses scraped at the same time (default: 1)
+  --max-attempts N            Runs per address before it is left as failed (default: 2)
+  --queue-file FILE           Where the batch queue is kept
+
+status and export take --chain, --checkpoint-dir and --seen-dir to find the state of a scrape.
+hashes takes --chain and --hash-store-dir, plus:
+  --since T                   Only hashes first seen at or after T (ISO date or time)
+  --type T                    Only external or internal hashes
+
+Other:
+  --json                      Print a machine-readable result on stdout (logs go to stderr)
+  --help, -h                  Show this help message
+
+Addresses may be lowercase or EIP-55 checksummed; a mixed-case address with a wrong checksum is rejected.
+
+Exit codes:
+  0  Success
+  1  Failure
+  2  Invalid command, flag or address
+  3  Completed, but some pages or batch addresses failed, or results may be missing (e.g. --verify found gaps)
+`;
+
+// camelCase option name to its --kebab-case flag name
+function toFlag(name) {
+    return name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+}
+
+const FLAG_KINDS = Object.fromEntries([
+    ...Object.entries(OPTION_RULES).map(([name, [kind]]) => [toFlag(name), { name, kind }]),
+    ...Object.entries(EXTRA_FLAGS).map(([name, kind]) => [toFlag(name), { name, kind }])
+]);
 
-Parameters:
-  token_address  - Ethereum token contract address (required)
-  max_windows    - Maximum concurrent windows (default: 10)
-  total_pages    - Total pages to scrape (default: 500)
+function parseValue(flag, kind, value) {
+    if (value === undefined) throw new UsageError(`Flag --${flag} needs a value`);
 
-Options:
-  --help, -h     - Show this help message
-`);
-    process.exit(0);
+    if (kind === 'integer') {
+        const number = Number(value);
+        if (!Number.isInteger(number)) throw new UsageError(`Flag --${flag} must be an integer, got "${value}"`);
+        return number;
+    }
+    if (kind === 'resourceTypes' || kind === 'urlPatterns') {
+        return readList(value);
+    }
+    if (kind === 'proxies') {
+        const proxies = readList(value);
+        if (proxies.length === 0) throw new UsageError(`No proxies found in ${value}`);
+        return proxies;
+    }
+    return value;
 }
 
-// Get parameters from command line or use defaults
-const tokenAddress = args[0] || '0x0023A1D0106185cBcC81b253a267b9d05015E0b7';
-const maxWindows = parseInt(args[1]) || 10;
-const totalPages = parseInt(args[2]) || 500;
+// Split arguments into the command, positional arguments and flags (keyed by option name)
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
 
-console.log('🚀 Starting Ethereum Transaction Scraper via Electron...');
-console.log(`📊 Token: ${tokenAddress}`);
-console.log(`⚡ Windows: ${maxWindows}`);
-console.log(`📄 Pages: ${totalPages}`);
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            flags.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
 
-// Run via electron to ensure proper context
-const electronPath = path.join(__dirname, 'node_modules', '.bin', 'electron');
-const mainScript = path.join(__dirname, 'electron-runner.js');
+        const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+        const negated = flag.startsWith('no-') && FLAG_KINDS[flag.slice(3)]?.kind === 'boolean';
+        const spec = negated ? FLAG_KINDS[flag.slice(3)] : FLAG_KINDS[flag];
+        if (!spec) throw new UsageError(`Unknown flag --${flag}`);
 
-// Create a temporary runner script
-import fs from 'fs';
+        if (spec.kind === 'boolean') {
+            if (inlineValue !== undefined && !['true', 'false'].includes(inlineValue)) {
+                throw new UsageError(`Flag --${flag} must be true or false, got "${inlineValue}"`);
+            }
+            flags[spec.name] = negated ? false : inlineValue !== 'false';
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        flags[spec.name] = parseValue(flag, spec.kind, value);
+        if (spec.kind === 'path' || PATH_OPTIONS.includes(spec.name)) {
+            flags[spec.name] = path.resolve(flags[spec.name]);
+        }
+    }
+
+    // The original form `eth-scrapper <address> [max_windows] [total_pages]` is still a scrape
+    let command = positional.shift();
+    if (isValidAddress(command)) {
+        const [address, maxWindows, totalPages] = [command, ...positional.splice(0)];
+        command = 'scrape';
+        positional.push(address);
+        if (maxWindows !== undefined && flags.maxWindows === undefined) flags.maxWindows = parseValue('max-windows', 'integer', maxWindows);
+        if (totalPages !== undefined && flags.totalPages === undefined) flags.totalPages = parseValue('total-pages', 'integer', totalPages);
+    }
+
+    return { command, positional, flags };
+}
 
-const runnerScript = `
-import { runScraper } from './index.js';
+function checkAddress(address) {
+    if (!address) throw new UsageError('Missing address');
+    if (!isValidAddress(address)) throw new UsageError(`Invalid address: ${address}`);
+    if (!hasValidChecksum(address)) {
+        throw new UsageError(`Bad checksum for ${address}; expected ${toChecksumAddress(address)}`);
+    }
+    return address;
+}
+
+// Entries of a file (one per line, # comments) or of a comma-separated list
+function readList(source) {
+    const text = fs.existsSync(source) ? fs.readFileSync(source, 'utf8') : source.replace(/,/g, '\n');
+    return text.split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(line => line !== '');
+}
+
+function readBatchAddresses(source) {
+    if (!source) throw new UsageError('Missing address file or list');
+
+    const addresses = readList(source);
+    if (addresses.length === 0) throw new UsageError(`No addresses found in ${source}`);
+    return addresses.map(checkAddress);
+}
+
+// Scraper options from the flags; validated here so mistakes are reported before Electron starts
+function scraperOptions(flags, extra = {}) {
+    const options = { ...extra };
+    Object.keys(OPTION_RULES).forEach(name => {
+        if (flags[name] !== undefined) options[name] = flags[name];
+    });
+    if (options.apiKey === undefined && process.env.ETHERSCAN_API_KEY) {
+        options.apiKey = process.env.ETHERSCAN_API_KEY;
+    }
 
-(async () => {
     try {
-        const result = await runScraper('${tokenAddress}', ${maxWindows}, ${totalPages});
-        console.log('\\n=== SCRAPING COMPLETED ===');
-        console.log('External transactions:', result.external.length);
-        console.log('Internal transactions:', result.internal.length);
-        console.log('Total time:', result.totalTime, 'seconds');
-        process.exit(0);
+        validateOptions(options);
     } catch (error) {
-        console.error('Scraping failed:', error);
-        process.exit(1);
+        throw new UsageError(error.message);
     }
-})();
-`;
+    return options;
+}
 
-fs.writeFileSync(mainScript, runnerScript);
+function output(flags, data, lines) {
+    if (flags.json) {
+        process.stdout.write(JSON.stringify(data) + '\n');
+    } else {
+        lines.forEach(line => console.log(line));
+    }
+}
 
-// Spawn electron process
-const electronProcess = spawn('npx', ['electron', mainScript], {
-    stdio: 'inherit',
-    shell: true
-});
+// A scrape is incomplete when its run report or log verification says so; a batch when an address
+// failed or is incomplete
+function isIncomplete(task, result) {
+    if (task.command === 'batch') {
+        return result.status.failed > 0 || result.addresses.some(entry => entry.summary?.complete === false);
+    }
+    return !result.report.complete || result.verification?.complete === false;
+}
+
+function printScrapeResult(result) {
+    const { report } = result;
+    console.log('\n=== SCRAPING COMPLETED ===');
+    console.log('External transactions:', result.external.length);
+    console.log('Internal transactions:', result.internal.length);
+    console.log('Unique hashes:', report.uniqueHashes, `(${report.overlap} in both)`);
+    [report.external, report.internal].forEach(({ type, pages, failedPages, truncated }) => {
+        console.log(`${type} pages: ${pages.succeeded}${pages.planned !== null ? `/${pages.planned}` : ''} scraped`);
+        failedPages.forEach(({ range, page, type: pageType, reason }) => {
+            console.log(`  ❌ ${describeRange(range)} page ${page}: ${pageType} (${reason})`);
+        });
+        truncated.forEach(({ range, reason }) => console.log(`  ⚠️ ${describeRange(range)}: ${reason}`));
+    });
+    console.log('Complete:', report.complete ? 'yes' : 'no');
+    if (result.verification?.error) {
+        console.log('Verification failed:', result.verification.error);
+    } else if (result.verification) {
+        const { logs, missing, extra, gaps, rescraped } = result.verification;
+        console.log('Transfer logs:', logs, `(${missing.length} missing, ${extra.length} without a log${rescraped ? `, ${rescraped.recovered} recovered by re-scraping` : ''})`);
+        gaps.forEach(gap => console.log(`  ❌ ${describeRange(gap)}: transfers not scraped`));
+    }
+    if (result.enrichment) {
+        const { transactions, missing, failed } = result.enrichment;
+        console.log('Enriched transactions:', Object.keys(transactions).length, `(${missing.length} unknown, ${failed.length} failed)`);
+    }
+    if (result.stored) {
+        console.log('New in the hash store:', result.stored.external.length, 'external,', result.stored.internal.length, 'internal');
+    }
+    if (result.resources) {
+        console.log('Blocked requests:', result.resources.blocked, `(~${(result.resources.bytesSaved / 1e6).toFixed(1)} MB saved)`);
+    }
+    console.log('Total time:', result.totalTime, 'seconds');
+}
+
+function printBatchResult({ status, addresses }) {
+    console.log('\n=== BATCH COMPLETED ===');
+    addresses.forEach(entry => {
+        const detail = entry.status === 'done'
+            ? ` (${entry.summary.external} external, ${entry.summary.internal} internal${entry.summary.complete === false ? ', incomplete' : ''})`
+            : entry.error ? ` (${entry.error})` : '';
+        console.log(`${entry.address}: ${entry.status}${detail}`);
+    });
+    console.log(`Done: ${status.done}, failed: ${status.failed}, total: ${status.total}`);
+}
+
+// Scrapes run inside Electron: electronMain.js reads the task from a JSON file and writes its
+// outcome to another, both in a private temp directory. Resolves to the outcome, or null if
+// Electron exited without writing one.
+async function runInElectron(task, json) {
+    // Outside Electron the package exports the binary's path; loaded lazily so the
+    // commands that don't scrape work without it
+    const { default: electronPath } = await import('electron');
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eth-scrapper-'));
+    const taskFile = path.join(workDir, 'task.json');
+    const resultFile = path.join(workDir, 'result.json');
+    fs.writeFileSync(taskFile, JSON.stringify(task));
+
+    const cleanup = () => fs.rmSync(workDir, { recursive: true, force: true });
+
+    return new Promise((resolve, reject) => {
+        // With --json, Electron's logs go to stderr so stdout only carries the result
+        const electronProcess = spawn(electronPath, [path.join(__dirname, 'electronMain.js')], {
+            stdio: ['ignore', json ? 2 : 'inherit', 'inherit'],
+            env: { ...process.env, ETH_SCRAPPER_TASK: taskFile, ETH_SCRAPPER_RESULT: resultFile }
+        });
 
-electronProcess.on('close', (code) => {
-    // Clean up runner script
+        electronProcess.on('close', (code) => {
+            let outcome = null;
+            try {
+                if (fs.existsSync(resultFile)) outcome = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+            } catch (error) {
+                console.error('Error reading result:', error.message);
+            }
+            cleanup();
+            resolve(outcome ?? { ok: false, error: `Electron exited with code ${code} without a result` });
+        });
+
+        electronProcess.on('error', (error) => {
+            cleanup();
+            reject(new Error(`Failed to start electron: ${error.message}`));
+        });
+    });
+}
+
+// Run a scrape task in Electron and report its outcome; resolves to the exit code
+async function runTask(task, flags, print) {
+    const outcome = await runInElectron(task, flags.json);
+
+    if (!outcome.ok) {
+        if (flags.json) {
+            process.stdout.write(JSON.stringify({ error: outcome.error }) + '\n');
+        } else {
+            console.error(`❌ ${outcome.error}`);
+        }
+        return EXIT_CODES.FAILED;
+    }
+
+    if (flags.json) {
+        process.stdout.write(JSON.stringify(task.command === 'batch' ? outcome.result : { address: task.address, ...outcome.result }) + '\n');
+    } else {
+        print(outcome.result);
+    }
+    return isIncomplete(task, outcome.result) ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+function logScrapeStart(label, options) {
+    console.log('🚀 Starting Ethereum Transaction Scraper via Electron...');
+    console.log(label);
+    if (options.maxWindows) console.log(`⚡ Windows: ${options.maxWindows}`);
+    if (options.totalPages) console.log(`📄 Pages: ${options.totalPages}`);
+    if (options.resume) console.log('♻️ Resuming from checkpoint');
+    if (options.incremental) console.log('⏩ Incremental: only transactions since the last run');
+    const { range } = validateOptions(options);
+    if (range) console.log(`🧱 Range: ${describeRange(range)}`);
+    if (options.out) console.log(`💾 Output: ${options.out}${options.format ? ` (${options.format})` : ''}`);
+}
+
+function scrapeCommand({ positional, flags }, resume) {
+    const address = checkAddress(positional[0]);
+    const options = scraperOptions(flags, resume ? { resume: true } : {});
+
+    logScrapeStart(`📊 Token: ${address}`, options);
+    return runTask({ command: 'scrape', address, options }, flags, printScrapeResult);
+}
+
+function batchCommand({ positional, flags }) {
+    const addresses = readBatchAddresses(positional[0]);
+    const options = scraperOptions(flags);
+    const batchOptions = {};
+    ['concurrency', 'maxAttempts', 'queueFile'].forEach(name => {
+        if (flags[name] !== undefined) batchOptions[name] = flags[name];
+    });
+
+    logScrapeStart(`📚 Batch: ${addresses.length} addresses, ${batchOptions.concurrency || 1} at a time`, options);
+    return runTask({ command: 'batch', addresses, options: { ...options, ...batchOptions } }, flags, printBatchResult);
+}
+
+// Explorer named by --chain
+function flagExplorer(flags) {
     try {
-        fs.unlinkSync(mainScript);
-    } catch (e) {}
-    
-    process.exit(code);
-});
+        return resolveExplorer(flags.chain);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function statusCommand({ positional, flags }) {
+    const explorer = flagExplorer(flags);
+    const queueFile = flags.queueFile || defaultQueueFile(explorer);
+
+    if (!positional[0]) {
+        const queue = new JobQueue(queueFile).load();
+        const summary = queue.summary();
+        output(flags, { queueFile, status: summary, addresses: queue.list() }, summary.total === 0
+            ? ['No batch queued']
+            : [
+                `Batch queue (${queueFile}): ${summary.done} done, ${summary.failed} failed, ${summary.pending} pending of ${summary.total}`,
+                ...queue.list().map(entry => `  ${entry.address}: ${entry.status}${entry.error ? ` (${entry.error})` : ''}`)
+            ]);
+        return EXIT_CODES.OK;
+    }
+
+    const address = checkAddress(positional[0]);
+    const checkpointDir = explorerDir(flags.checkpointDir || DEFAULT_CHECKPOINT_DIR, explorer);
+    const seenDir = explorerDir(flags.seenDir || DEFAULT_SEEN_DIR, explorer);
+
+    const checkpoints = CheckpointStore.forAddress(address, checkpointDir).map(store => ({
+        type: store.txnType,
+        range: store.range,
+        pages: store.completedCount,
+        rows: store.completedPages().reduce((sum, page) => sum + (store.getPage(page).rows || []).length, 0)
+    }));
+    const seen = ['external', 'internal'].map(type => {
+        const store = new SeenHashStore(address, type, seenDir).load();
+        return { type, hashes: store.size, lastRunAt: store.lastRunAt };
+    });
+    const queued = new JobQueue(queueFile).load().get(address);
+
+    output(flags, { chain: explorer.id, address, checkpoints, seen, batch: queued }, [
+        `📊 ${address} on ${explorer.name}`,
+        checkpoints.length === 0 ? 'No checkpoints' : 'Checkpoints:',
+        ...checkpoints.map(c => `  ${c.type}${c.range ? ` (${describeRange(c.range)})` : ''}: ${c.pages} pages, ${c.rows} rows`),
+        ...seen.filter(s => s.hashes > 0).map(s => `Seen ${s.type} hashes: ${s.hashes} (last run ${s.lastRunAt})`),
+        ...(queued ? [`Batch: ${queued.status} after ${queued.attempts} attempts${queued.error ? ` (${queued.error})` : ''}`] : [])
+    ]);
+    return EXIT_CODES.OK;
+}
 
-electronProcess.on('error', (error) => {
-    console.error('Failed to start electron:', error);
+async function exportCommand({ positional, flags }) {
+    const address = checkAddress(positional[0]);
+    if (!flags.out) throw new UsageError('Missing --out FILE');
+
+    const explorer = flagExplorer(flags);
+    const checkpoints = CheckpointStore.forAddress(address, explorerDir(flags.checkpointDir || DEFAULT_CHECKPOINT_DIR, explorer));
+    if (checkpoints.length === 0) {
+        throw new UsageError(`No ${explorer.name} checkpoints for ${address}; scrape it first`);
+    }
+
+    const exporter = await createExporter(flags.out, { format: flags.format });
+    checkpoints.forEach(store => {
+        store.completedPages().forEach(page => {
+            exporter.write({ chain: explorer.id, address, type: store.txnType }, store.getPage(page).rows || []);
+        });
+    });
+    await exporter.close();
+
+    const format = resolveFormat(flags.out, flags.format);
+    output(flags, { address, out: flags.out, format, rows: exporter.count }, [
+        `💾 Exported ${exporter.count} rows to ${flags.out} (${format})`
+    ]);
+    return EXIT_CODES.OK;
+}
+
+function hashesCommand({ positional, flags }) {
+    const address = checkAddress(positional[0]);
+    const explorer = flagExplorer(flags);
+    if (flags.type !== undefined && !TXN_TYPES.includes(flags.type)) {
+        throw new UsageError(`Flag --type must be one of ${TXN_TYPES.join(', ')}, got "${flags.type}"`);
+    }
+
+    let hashes;
     try {
-        fs.unlinkSync(mainScript);
-    } catch (e) {}
-    process.exit(1);
+        hashes = getHashes(address, { chain: explorer.id, hashStoreDir: flags.hashStoreDir, since: flags.since, type: flags.type });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    output(flags, { chain: explorer.id, address, since: flags.since ?? null, hashes }, hashes.length === 0
+        ? [`No stored ${flags.type ? `${flags.type} ` : ''}hashes for ${address}${flags.since ? ` since ${flags.since}` : ''}`]
+        : hashes.map(({ hash, type, page, range, firstSeen, lastSeen }) => {
+            return `${hash} ${type} page ${page ?? '-'}${range ? ` (${describeRange(range)})` : ''} first ${firstSeen} last ${lastSeen}`;
+        }));
+    return EXIT_CODES.OK;
+}
+
+// Without --chain every explorer's session goes; with it only that explorer's partition
+// Session directories of an explorer on disk: its own partition and those of its proxies (see
+// proxies.js), which hold clearances of their own
+function explorerSessionDirs(explorer) {
+    const partitionsDir = path.join(USER_DATA_DIR, 'Partitions');
+    const proxyPrefix = proxyPartition(explorer.partition, { label: '' }).replace(/^persist:/, '');
+    const proxyDirs = fs.existsSync(partitionsDir)
+        ? fs.readdirSync(partitionsDir).filter(name => name.startsWith(proxyPrefix)).map(name => path.join(partitionsDir, name))
+        : [];
+    return { sessionDir: path.join(partitionsDir, explorer.partition.replace(/^persist:/, '')), proxyDirs };
+}
+
+function clearSessionCommand({ flags }) {
+    const explorer = flags.chain ? flagExplorer(flags) : null;
+    const { sessionDir, proxyDirs } = explorer ? explorerSessionDirs(explorer) : { sessionDir: USER_DATA_DIR, proxyDirs: [] };
+    const targets = [sessionDir, ...proxyDirs].filter(target => fs.existsSync(target));
+    targets.forEach(target => fs.rmSync(target, { recursive: true, force: true }));
+
+    const proxies = proxyDirs.length > 0 ? ` and ${proxyDirs.length} proxy session${proxyDirs.length === 1 ? '' : 's'}` : '';
+    output(flags, { chain: explorer ? explorer.id : null, cleared: targets.length > 0, proxySessions: proxyDirs.length }, [
+        targets.length > 0
+            ? `🧹 ${explorer ? `${explorer.name} session` : 'Session'}${proxies} cleared; the next run will ask for a new Cloudflare check`
+            : 'No stored session'
+    ]);
+    return EXIT_CODES.OK;
+}
+
+async function main(argv) {
+    const parsed = parseArgs(argv);
+    const { command, flags } = parsed;
+
+    // With --json, stdout only carries the result
+    if (flags.json) console.log = console.info = console.warn = console.error.bind(console);
+
+    if (!command || command === 'help' || (flags.help && !COMMANDS.includes(command))) {
+        console.log(HELP);
+        return command || flags.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    if (!COMMANDS.includes(command)) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+    if (flags.help) {
+        console.log(HELP);
+        return EXIT_CODES.OK;
+    }
+
+    switch (command) {
+        case 'scrape':
+            return scrapeCommand(parsed, false);
+        case 'resume':
+            return scrapeCommand(parsed, true);
+        case 'batch':
+            return batchCommand(parsed);
+        case 'status':
+            return statusCommand(parsed);
+        case 'export':
+            return exportCommand(parsed);
+        case 'hashes':
+            return hashesCommand(parsed);
+        case 'clear-session':
+            return clearSessionCommand(parsed);
+    }
+}
+
+main(process.argv.slice(2)).then(code => process.exit(code), error => {
+    const usage = error instanceof UsageError;
+    if (process.argv.includes('--json')) {
+        process.stdout.write(JSON.stringify({ error: error.message }) + '\n');
+    } else {
+        console.error(`❌ ${error.message}`);
+        if (usage) console.error('Run eth-scrapper --help for usage');
+    }
+    process.exit(usage ? EXIT_CODES.USAGE : EXIT_CODES.FAILED);
 });
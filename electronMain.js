@@ -0,0 +1,61 @@
+// Fixed Electron entry used by cli.js. The task comes from the JSON file named in ETH_SCRAPPER_TASK
+// and the outcome is written to the JSON file named in ETH_SCRAPPER_RESULT, so no parameter ever
+// ends up in generated source.
+import fs from 'fs';
+import { runScraper, runBatch } from './index.js';
+
+const taskFile = process.env.ETH_SCRAPPER_TASK;
+const resultFile = process.env.ETH_SCRAPPER_RESULT;
+
+// Result fields reported back; parsed rows stay out (use the out option to keep them)
+function summarizeScrape(result) {
+    return {
+        external: result.external,
+        internal: result.internal,
+        new: result.new,
+        stored: result.stored,
+        failed: result.failed,
+        totalTime: result.totalTime,
+        resources: result.resources,
+        enrichment: result.enrichment,
+        verification: result.verification,
+        report: result.report
+    };
+}
+
+async function runTask(task) {
+    if (task.command === 'batch') {
+        const { status, addresses } = await runBatch(task.addresses, task.options);
+        return { status, addresses };
+    }
+    return summarizeScrape(await runScraper(task.address, task.options));
+}
+
+function writeResult(outcome) {
+    try {
+        const tempFile = `${resultFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(outcome));
+        fs.renameSync(tempFile, resultFile);
+    } catch (error) {
+        console.error('Error writing result:', error.message);
+    }
+}
+
+(async () => {
+    if (!taskFile || !resultFile) {
+        console.error('electronMain.js is started by cli.js; use runScraper() when embedding the scraper');
+        process.exit(1);
+    }
+
+    let outcome;
+    try {
+        const task = JSON.parse(fs.readFileSync(taskFile, 'utf8'));
+        outcome = { ok: true, result: await runTask(task) };
+    } catch (error) {
+        console.error('Scraping failed:', error);
+        outcome = { ok: false, error: error.message };
+    }
+
+    writeResult(outcome);
+    process.exit(outcome.ok ? 0 : 1);
+})();
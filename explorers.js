@@ -0,0 +1,106 @@
+import path from 'path';
+
+// Etherscan-family explorers sharing the advanced-filter layout. Each gets its own Electron
+// session partition, so Cloudflare clearance and cookies are kept apart per site.
+
+export const DEFAULT_CHAIN = 'ethereum';
+
+// Defaults every explorer starts from; entries below only list where they differ
+const BASE_EXPLORER = {
+    advancedFilterPath: '/advanced-filter',
+    maxResultRows: 10000, // Rows the explorer pages through per result set
+    apiUrl: 'https://api.etherscan.io/v2/api', // Multichain API, selected by chainid
+    nativeCurrency: 'ETH'
+};
+
+const REGISTRY = {
+    ethereum: {
+        name: 'Etherscan',
+        baseUrl: 'https://etherscan.io',
+        chainId: 1,
+        aliases: ['eth', 'mainnet', 'etherscan']
+    },
+    bsc: {
+        name: 'BscScan',
+        baseUrl: 'https://bscscan.com',
+        chainId: 56,
+        nativeCurrency: 'BNB',
+        aliases: ['bnb', 'binance', 'bscscan']
+    },
+    polygon: {
+        name: 'PolygonScan',
+        baseUrl: 'https://polygonscan.com',
+        chainId: 137,
+        nativeCurrency: 'POL',
+        aliases: ['matic', 'polygonscan']
+    },
+    arbitrum: {
+        name: 'Arbiscan',
+        baseUrl: 'https://arbiscan.io',
+        chainId: 42161,
+        aliases: ['arb', 'arbitrum-one', 'arbiscan']
+    },
+    base: {
+        name: 'BaseScan',
+        baseUrl: 'https://basescan.org',
+        chainId: 8453,
+        aliases: ['basescan']
+    },
+    optimism: {
+        name: 'Optimistic Etherscan',
+        baseUrl: 'https://optimistic.etherscan.io',
+        chainId: 10,
+        aliases: ['op', 'optimistic']
+    }
+};
+
+export const EXPLORERS = Object.fromEntries(Object.entries(REGISTRY).map(([id, entry]) => [id, Object.freeze({
+    ...BASE_EXPLORER,
+    ...entry,
+    id,
+    partition: `persist:${id}` // Electron session partition for this explorer's windows
+})]));
+
+export const CHAINS = Object.keys(EXPLORERS);
+
+// Look up an explorer by chain id, alias or host name (e.g. 'bsc', 'bnb', 'bscscan.com')
+export function resolveExplorer(chain = DEFAULT_CHAIN) {
+    const key = String(chain).toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    const explorer = Object.values(EXPLORERS).find(entry =>
+        entry.id === key || entry.aliases.includes(key) || new URL(entry.baseUrl).host === key);
+
+    if (!explorer) {
+        throw new RangeError(`Unknown chain "${chain}", expected one of ${CHAINS.join(', ')}`);
+    }
+    return explorer;
+}
+
+// Copy of an explorer served from another origin, e.g. a local mock of its pages. The copy gets an
+// in-memory partition so nothing it sets ends up in the explorer's persistent session.
+export function withBaseUrl(explorer, baseUrl) {
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch (error) {
+        throw new TypeError(`Invalid explorer URL "${baseUrl}"`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new TypeError(`Explorer URL must be http or https, got "${baseUrl}"`);
+    }
+
+    return Object.freeze({
+        ...explorer,
+        baseUrl: url.origin,
+        partition: `${explorer.id}-override`
+    });
+}
+
+export function advancedFilterUrl(explorer) {
+    return `${explorer.baseUrl}${explorer.advancedFilterPath}`;
+}
+
+// Directory for per-address state (checkpoints, seen hashes) of an explorer. Ethereum keeps the
+// top-level directory so state from before multi-chain support stays valid.
+export function explorerDir(dir, explorer) {
+    return explorer.id === DEFAULT_CHAIN ? dir : path.join(dir, explorer.id);
+}
@@ -0,0 +1,246 @@
+import fs from 'fs';
+import path from 'path';
+
+export const EXPORT_FORMATS = ['jsonl', 'csv', 'sqlite'];
+
+// Columns of every exported record: the parsed row plus the chain, address and transaction type it belongs to
+export const EXPORT_COLUMNS = [
+    'chain', 'address', 'type', 'hash', 'method', 'block', 'age', 'timestamp',
+    'from', 'to', 'value', 'token', 'tokenAddress', 'fee', 'page'
+];
+
+const EXTENSION_FORMATS = {
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.csv': 'csv',
+    '.db': 'sqlite',
+    '.sqlite': 'sqlite',
+    '.sqlite3': 'sqlite'
+};
+
+// Format for an output file: the explicit one, else guessed from the extension, else JSONL
+export function resolveFormat(file, format = null) {
+    if (format) return format;
+    return EXTENSION_FORMATS[path.extname(file).toLowerCase()] || 'jsonl';
+}
+
+function recordKey(record) {
+    return `${record.chain}:${record.address.toLowerCase()}:${record.type}:${record.hash}`;
+}
+
+// source is { chain, address, type }
+function toRecord(source, row) {
+    return Object.fromEntries(EXPORT_COLUMNS.map(column => [column, source[column] ?? row[column] ?? null]));
+}
+
+function ensureDir(file) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Shared by the file exporters: records are appended as they arrive, skipping ones already written
+class StreamExporter {
+    constructor(file, { append = false } = {}) {
+        this.file = file;
+        this.append = append;
+        this.written = new Set();
+        this.stream = null;
+        this.count = 0;
+    }
+
+    async open() {
+        ensureDir(this.file);
+        const existing = this.append && fs.existsSync(this.file) && fs.statSync(this.file).size > 0;
+        if (existing) this.readKeys(fs.readFileSync(this.file, 'utf8'));
+
+        this.stream = fs.createWriteStream(this.file, { flags: existing ? 'a' : 'w' });
+        if (!existing) this.writeHeader();
+        return this;
+    }
+
+    writeHeader() { }
+
+    write(source, rows) {
+        const lines = [];
+        rows.forEach(row => {
+            const record = toRecord(source, row);
+            const key = recordKey(record);
+            if (this.written.has(key)) return;
+            this.written.add(key);
+            lines.push(this.formatRecord(record));
+        });
+
+        if (lines.length > 0) {
+            this.stream.write(lines.join('\n') + '\n');
+            this.count += lines.length;
+        }
+    }
+
+    close() {
+        if (!this.stream) return Promise.resolve();
+        const stream = this.stream;
+        this.stream = null;
+        return new Promise((resolve, reject) => {
+            stream.once('error', reject);
+            stream.end(resolve);
+        });
+    }
+}
+
+// One JSON object per line
+export class JsonlExporter extends StreamExporter {
+    readKeys(content) {
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                this.written.add(recordKey(JSON.parse(line)));
+            } catch (error) {
+                // Partial last line of an interrupted run
+            }
+        });
+    }
+
+    formatRecord(record) {
+        return JSON.stringify(record);
+    }
+}
+
+// CSV with a header row of EXPORT_COLUMNS
+export class CsvExporter extends StreamExporter {
+    readKeys(content) {
+        content.split('\n').slice(1).forEach(line => {
+            // chain, address, type and hash never need quoting
+            const [chain, address, type, hash] = line.split(',');
+            if (hash) this.written.add(recordKey({ chain, address, type, hash }));
+        });
+    }
+
+    writeHeader() {
+        this.stream.write(EXPORT_COLUMNS.join(',') + '\n');
+    }
+
+    formatRecord(record) {
+        return EXPORT_COLUMNS.map(column => csvValue(record[column])).join(',');
+    }
+}
+
+const INSERT_SQL = `INSERT OR IGNORE INTO transactions (${EXPORT_COLUMNS.map(column => `"${column}"`).join(', ')}) ` +
+    `VALUES (${EXPORT_COLUMNS.map(() => '?').join(', ')})`;
+
+// SQLite database with one row per (chain, address, type, hash). Uses sql.js (WebAssembly), so nothing
+// has to be rebuilt for Electron; the database is flushed to disk shortly after each write.
+export class SqliteExporter {
+    constructor(file, { append = false, flushInterval = 2000 } = {}) {
+        this.file = file;
+        this.append = append;
+        this.flushInterval = flushInterval;
+        this.db = null;
+        this.flushTimer = null;
+        this.count = 0;
+    }
+
+    async open() {
+        const { default: initSqlJs } = await import('sql.js');
+        const SQL = await initSqlJs();
+
+        ensureDir(this.file);
+        this.db = this.append && fs.existsSync(this.file)
+            ? new SQL.Database(fs.readFileSync(this.file))
+            : new SQL.Database();
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS transactions (
+                chain TEXT NOT NULL,
+                address TEXT NOT NULL,
+                type TEXT NOT NULL,
+                hash TEXT NOT NULL,
+                method TEXT,
+                block INTEGER,
+                age TEXT,
+                timestamp TEXT,
+                "from" TEXT,
+                "to" TEXT,
+                value TEXT,
+                token TEXT,
+                tokenAddress TEXT,
+                fee TEXT,
+                page INTEGER,
+                PRIMARY KEY (chain, address, type, hash)
+            )
+        `);
+
+        this.flush();
+        return this;
+    }
+
+    write(source, rows) {
+        // Addresses are stored lowercased so the primary key dedupes regardless of checksum casing
+        const key = { ...source, address: source.address.toLowerCase() };
+
+        // Prepared per write: exporting the database to disk frees open statements
+        const insert = this.db.prepare(INSERT_SQL);
+        this.db.run('BEGIN');
+        try {
+            rows.forEach(row => {
+                const record = toRecord(key, row);
+                insert.run(EXPORT_COLUMNS.map(column => record[column]));
+                this.count += this.db.getRowsModified();
+            });
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        } finally {
+            insert.free();
+        }
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, Buffer.from(this.db.export()));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    async close() {
+        if (!this.db) return;
+        this.flush();
+        this.db.close();
+        this.db = null;
+    }
+}
+
+const EXPORTERS = {
+    jsonl: JsonlExporter,
+    csv: CsvExporter,
+    sqlite: SqliteExporter
+};
+
+// Open an exporter for file. With append, records already in the file are kept and not written again.
+export async function createExporter(file, { format = null, append = false } = {}) {
+    const resolved = resolveFormat(file, format);
+    const Exporter = EXPORTERS[resolved];
+    if (!Exporter) {
+        throw new RangeError(`Unknown export format "${resolved}", expected one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    return new Exporter(file, { append }).open();
+}
+
+// Stream every page a scraper finishes into the exporter
+export function exportPages(scrapper, exporter) {
+    scrapper.on('page', ({ chain, address, type, rows }) => {
+        if (rows && rows.length > 0) exporter.write({ chain, address, type }, rows);
+    });
+}
@@ -0,0 +1,123 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveExplorer, explorerDir, DEFAULT_CHAIN } from './explorers.js';
+import { JsonLinesFile } from './jsonLines.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_HASH_STORE_DIR = path.join(__dirname, 'hash-store');
+
+// The file is rewritten with one line per hash once it holds this many lines per hash
+const COMPACT_RATIO = 4;
+
+function toTimestamp(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new RangeError(`Invalid date: ${JSON.stringify(value)}`);
+    }
+    return date.toISOString();
+}
+
+// Every hash scrapes have found, across runs, per address + transaction type, with where and when
+// it was seen: { hash, address, type, page, range, firstSeen, lastSeen }. page and range are those
+// of the first sighting. Each scraped page appends its hashes to a JSON lines file, so a crash loses
+// nothing; a later line for a known hash only moves its lastSeen.
+//
+// This is not the SeenHashStore of incremental mode: that one only takes the hashes of complete runs,
+// as a page holding one of them must mean every older row was scraped before. This store also keeps
+// the pages of failed and cut-short runs, so it can not tell an incremental run where to stop.
+export class HashStore {
+    constructor(storeDir = DEFAULT_HASH_STORE_DIR) {
+        this.storeDir = storeDir;
+        this.file = path.join(storeDir, 'hashes.jsonl');
+        this.jsonLines = new JsonLinesFile(this.file, 'hash store');
+        this.records = new Map(); // `${address}:${type}:${hash}` -> record
+        this.lines = 0;
+    }
+
+    static key(address, type, hash) {
+        return `${address.toLowerCase()}:${type}:${hash.toLowerCase()}`;
+    }
+
+    load() {
+        this.jsonLines.read().filter(line => line.address && line.type && line.hash).forEach(line => {
+            this.merge(line);
+            this.lines++;
+        });
+        return this;
+    }
+
+    // Fold one line into the records; returns true for a hash the store did not know
+    merge(line) {
+        const key = HashStore.key(line.address, line.type, line.hash);
+        const record = this.records.get(key);
+        if (!record) {
+            this.records.set(key, { ...line });
+            return true;
+        }
+
+        if (line.firstSeen < record.firstSeen) {
+            Object.assign(record, { page: line.page, range: line.range, firstSeen: line.firstSeen });
+        }
+        if (line.lastSeen > record.lastSeen) record.lastSeen = line.lastSeen;
+        return false;
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    get(address, type, hash) {
+        return this.records.get(HashStore.key(address, type, hash)) || null;
+    }
+
+    // Record the hashes of a scraped page. Returns the ones the store did not know.
+    record({ address, type, page = null, range = null, hashes }, seenAt = new Date()) {
+        const timestamp = toTimestamp(seenAt);
+        const lines = Array.from(new Set(hashes)).map(hash => ({
+            hash,
+            address: address.toLowerCase(),
+            type,
+            page,
+            range,
+            firstSeen: timestamp,
+            lastSeen: timestamp
+        }));
+        if (lines.length === 0) return [];
+
+        const added = lines.filter(line => this.merge(line)).map(line => line.hash);
+        if (this.jsonLines.append(lines)) this.lines += lines.length;
+        return added;
+    }
+
+    // Records of an address, oldest first. since (Date, ISO string or ms) keeps hashes first seen
+    // at or after it; type keeps one transaction type.
+    getHashes(address, { since, type } = {}) {
+        const from = since === undefined || since === null ? null : toTimestamp(since);
+        const prefix = `${address.toLowerCase()}:`;
+
+        return Array.from(this.records.entries())
+            .filter(([key, record]) => key.startsWith(prefix) && (!type || record.type === type) && (!from || record.firstSeen >= from))
+            .map(([, record]) => ({ ...record }))
+            .sort((a, b) => a.firstSeen.localeCompare(b.firstSeen) || (a.page ?? 0) - (b.page ?? 0));
+    }
+
+    // Compact once the file has grown well past one line per hash. Only the scraper, which writes
+    // the store, calls this; readers leave the file alone.
+    compactIfNeeded() {
+        if (this.lines > COMPACT_RATIO * this.records.size) this.compact();
+        return this;
+    }
+
+    // Rewrite the file with one line per hash
+    compact() {
+        if (this.jsonLines.rewrite(Array.from(this.records.values()))) this.lines = this.records.size;
+    }
+}
+
+// Hashes recorded for an address by runs with storeHashes, oldest first. chain and hashStoreDir find
+// the store like the scraper options do; since and type are those of HashStore.getHashes.
+export function getHashes(address, { chain = DEFAULT_CHAIN, hashStoreDir = DEFAULT_HASH_STORE_DIR, since, type } = {}) {
+    return new HashStore(explorerDir(hashStoreDir, resolveExplorer(chain))).load().getHashes(address, { since, type });
+}
@@ -1,6 +1,24 @@
-import { app, BrowserWindow } from 'electron';
+import { app } from 'electron';
 import { ExternalScrapper } from './externalScrapper.js';
 import { InternalScrapper } from './internalScrapper.js';
+import { BaseScrapper, SCRAPER_EVENTS } from './baseScrapper.js';
+import { QUERIES, methodQuery, buildQueryUrl } from './queries.js';
+import { SessionManager } from './sessionManager.js';
+import { classifyPage, PAGE_TYPES } from './pageClassifier.js';
+import { describeRange } from './ranges.js';
+import { validateOptions, isValidAddress, DEFAULT_OPTIONS } from './options.js';
+import { ScrapeJob, JOB_EVENTS, BATCH_EVENTS } from './scrapeJob.js';
+import { CheckpointStore, DEFAULT_CHECKPOINT_DIR } from './checkpointStore.js';
+import { SeenHashStore, DEFAULT_SEEN_DIR } from './seenHashStore.js';
+import { WindowPool } from './windowPool.js';
+import { JobQueue, defaultQueueFile } from './jobQueue.js';
+import { EXPLORERS, CHAINS, resolveExplorer, explorerDir } from './explorers.js';
+import { createExporter, exportPages, EXPORT_FORMATS } from './exporters.js';
+import { ApiClient, ApiScrapper, ApiError } from './apiBackend.js';
+import { DEFAULT_BLOCKED_TYPES, DEFAULT_BLOCKED_URLS } from './requestFilter.js';
+import { RpcClient, RpcEnricher, RpcCache, DEFAULT_RPC_CACHE_DIR } from './rpcEnricher.js';
+import { LogVerifier, gapRanges } from './logVerifier.js';
+import { HashStore, getHashes, DEFAULT_HASH_STORE_DIR } from './hashStore.js';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
@@ -8,31 +26,15 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const CLOUDFLARE_STATUS_FILE = path.join(__dirname, '.cloudflare-passed');
+let appReady = null;
 
-function hasPassedCloudflare() {
-    return fs.existsSync(CLOUDFLARE_STATUS_FILE);
+// Electron can only be set up once per process, so every run shares the same ready promise
+function initializeApp() {
+    if (!appReady) appReady = setupApp();
+    return appReady;
 }
 
-function markCloudflareAsPassed() {
-    try {
-        fs.writeFileSync(CLOUDFLARE_STATUS_FILE, new Date().toISOString());
-    } catch (error) {
-        console.error('Error marking Cloudflare as passed:', error);
-    }
-}
-
-function clearCloudflareStatus() {
-    try {
-        if (fs.existsSync(CLOUDFLARE_STATUS_FILE)) {
-            fs.unlinkSync(CLOUDFLARE_STATUS_FILE);
-        }
-    } catch (error) {
-        console.error('Error clearing Cloudflare status:', error);
-    }
-}
-
-async function initializeApp() {
+async function setupApp() {
     const userDataPath = path.join(__dirname, 'electron-userdata');
     if (!fs.existsSync(userDataPath)) fs.mkdirSync(userDataPath, { recursive: true });
     app.setPath('userData', userDataPath);
@@ -50,144 +52,521 @@ async function initializeApp() {
     app.commandLine.appendSwitch('--disable-renderer-backgrounding');
     app.commandLine.appendSwitch('--disable-ipc-flooding-protection');
     app.commandLine.appendSwitch('--log-level', '3'); // Only show fatal errors
-    
+
+    // Windows close mid-run (all proxies out of the pool, one challenge window before the next opens);
+    // that must not quit Electron by default. Runs quit the app themselves when they are done.
+    app.on('window-all-closed', () => { });
+
     await app.whenReady();
     return app;
 }
 
-
-
-async function runScraper(tokenAddress, maxWindows, totalPages) {
+// Window pool, Cloudflare session and exporter shared by every address scraped in one app lifetime.
+// The pool and session use the explorer's own partition. append keeps the rows an earlier,
+// interrupted run already exported.
+async function createContext(settings, append = settings.resume) {
     console.log('Initializing Electron app...');
     const electronApp = await initializeApp();
-    
-    // Check if we've already passed Cloudflare
-    const skipTestWindow = hasPassedCloudflare();
-    console.log(`Cloudflare status: ${skipTestWindow ? 'Previously passed' : 'Need to check'}`);
-    
-    if (!skipTestWindow) {
-        console.log('Opening test window for Cloudflare check...');
-        // Pre-solve any Cloudflare captcha before starting scrapers
-        const testWindow = new BrowserWindow({
-            width: 1200,
-            height: 800,
-            show: true,
-           
-        });
-        
-        const testUrl = `https://etherscan.io/advanced-filter?tkn=${tokenAddress}&txntype=2&ps=100&p=1`;
-        console.log(`Loading URL: ${testUrl}`);
-        
-        await testWindow.loadURL(testUrl);
-    
-    // Wait for the table to load or user to close window
-    await new Promise((resolve) => {
-        let resolved = false;
-        
-        // Add timeout after 30 seconds
-        const timeout = setTimeout(() => {
-            if (!resolved) {
-                console.log('Timeout reached, proceeding without Cloudflare verification');
-                resolved = true;
-                testWindow.close();
-                markCloudflareAsPassed();
-                resolve();
-            }
-        }, 30000);
-        
-        // Check for table every 2 seconds
-        const checkTable = async () => {
-            if (resolved) return;
-            
-            try {
-                const tableExists = await testWindow.webContents.executeJavaScript(`
-                    (function() {
-                        try {
-                            // Check if transaction table exists and has content
-                            const table = document.querySelector('table');
-                            const hasRows = table && table.querySelector('tbody tr');
-                            const hasTransactionData = document.body.textContent.includes('Txn Hash') || 
-                                                     document.body.textContent.includes('Transaction Hash');
-                            
-                            return table && hasRows && hasTransactionData;
-                        } catch (error) {
-                            return false;
-                        }
-                    })()
-                `);
-                
-                if (tableExists) {
-                    console.log('Table found! Cloudflare check passed.');
-                    resolved = true;
-                    clearTimeout(timeout);
-                    testWindow.close();
-                    // Mark Cloudflare as passed
-                    markCloudflareAsPassed();
-                    resolve();
-                    return;
-                }
-            } catch (error) {
-                console.log('Checking for table...', error.message);
-            }
-            
-            if (!resolved) {
-                setTimeout(checkTable, 200);
-            }
-        };
-        
-        // Handle manual window closure
-        testWindow.on('closed', () => {
-            if (!resolved) {
-                console.log('Test window closed manually');
-                resolved = true;
-                clearTimeout(timeout);
-                // Mark Cloudflare as passed even on manual close
-                markCloudflareAsPassed();
-                resolve();
-            }
+
+    let exporter = null;
+    if (settings.out) {
+        exporter = await createExporter(settings.out, { format: settings.format, append });
+        console.log(`Exporting rows to ${settings.out}${append ? ' (appending)' : ''}`);
+    }
+
+    // One window pool for all scrapers: maxWindows is a global cap, not a per-scraper one
+    const pool = new WindowPool(settings.maxWindows, {
+        headless: settings.headless,
+        offscreen: settings.offscreen,
+        windowCooldown: settings.windowCooldown,
+        minRequestInterval: settings.minRequestInterval,
+        partition: settings.explorer.partition,
+        adaptiveRate: settings.adaptiveRate,
+        proxies: settings.proxies,
+        maxProxyFailures: settings.maxProxyFailures,
+        capture: settings.capture,
+        blockResources: settings.blockResources,
+        blockedTypes: settings.blockedTypes,
+        blockedUrls: settings.blockedUrls
+    });
+
+    const sessionManager = new SessionManager({
+        baseUrl: settings.explorer.baseUrl,
+        partition: settings.explorer.partition
+    });
+
+    // One API client for the whole run, so every address shares the key's rate limit
+    let apiClient = null;
+    if (settings.backend !== 'scrape' && settings.apiKey) {
+        apiClient = new ApiClient({
+            apiUrl: settings.apiUrl || settings.explorer.apiUrl,
+            apiKey: settings.apiKey,
+            chainId: settings.explorer.chainId,
+            rateLimit: settings.apiRateLimit,
+            maxRetries: settings.maxRetries + 1
         });
-        
-        // Start checking for table after initial load
-        setTimeout(checkTable, 200);
+    }
+
+    // One RPC client and enricher for the run: every address shares the node's concurrency cap and the cache
+    let rpcClient = null;
+    let enricher = null;
+    if (settings.rpcUrl) {
+        rpcClient = new RpcClient({ url: settings.rpcUrl, concurrency: settings.rpcConcurrency, maxRetries: settings.maxRetries + 1 });
+        const cache = new RpcCache(explorerDir(settings.rpcCacheDir ?? DEFAULT_RPC_CACHE_DIR, settings.explorer)).load();
+        enricher = new RpcEnricher(rpcClient, { batchSize: settings.rpcBatchSize, cache });
+    }
+
+    // Shared by every address, so a batch appends to one file
+    const hashStore = settings.storeHashes
+        ? new HashStore(explorerDir(settings.hashStoreDir ?? DEFAULT_HASH_STORE_DIR, settings.explorer)).load().compactIfNeeded()
+        : null;
+
+    return { electronApp, pool, exporter, sessionManager, apiClient, rpcClient, enricher, hashStore };
+}
+
+async function closeContext(context) {
+    context.pool.destroy();
+
+    if (context.exporter) {
+        try {
+            await context.exporter.close();
+            console.log(`Exported ${context.exporter.count} rows to ${context.exporter.file}`);
+        } catch (error) {
+            console.error('Error closing exporter:', error.message);
+        }
+    }
+
+    // Quit the app after scraping is complete
+    console.log('Quitting application...');
+    context.electronApp.quit();
+}
+
+// Remember a run's hashes for the next incremental run. Runs with failed pages are not recorded,
+// otherwise the next run would stop before reaching their gaps.
+function recordSeenHashes(store, scrapper, hashes) {
+    if (scrapper.failedCount > 0) {
+        console.warn(`${scrapper.query.name}: ${scrapper.failedCount} pages failed, seen hashes not updated`);
+        return;
+    }
+    store.addAll(hashes);
+    store.save();
+}
+
+// Run report of an address: each type's report, plus hashes counted once across both types.
+// complete is only true when neither type failed a page or may have missed results.
+function buildReport(externalScrapper, internalScrapper, externalHashes, internalHashes) {
+    const internalSet = new Set(internalHashes);
+    const overlap = externalHashes.filter(hash => internalSet.has(hash)).length;
+    const external = externalScrapper.getReport();
+    const internal = internalScrapper.getReport();
+
+    return {
+        complete: external.complete && internal.complete,
+        external,
+        internal,
+        uniqueHashes: externalHashes.length + internalHashes.length - overlap,
+        overlap // Hashes found as both external and internal transactions
+    };
+}
+
+function forwardEvents(scrapper, job) {
+    SCRAPER_EVENTS.forEach(event => scrapper.on(event, data => job.emit(event, data)));
+}
+
+// Record each scraped page in the hash store as it completes; added collects the hashes it did not know
+function storePages(scrapper, hashStore, added) {
+    scrapper.on('page', ({ address, type, page, range, hashes }) => {
+        added.push(...hashStore.record({ address, type, page, range, hashes }));
     });
+}
+
+// Collect one transaction type of an address: through the API when the run has a client, else (or,
+// in auto mode, when the API fails) with the browser scraper. setup(scrapper) wires events and state.
+async function collectType(type, tokenAddress, options, settings, context, checkpoint, setup) {
+    const { electronApp, pool, sessionManager, apiClient } = context;
+
+    if (apiClient) {
+        const apiScrapper = new ApiScrapper(apiClient, type, tokenAddress, settings);
+        setup(apiScrapper);
+        // A fallback scrape reports every page again, so in auto mode the API's pages only go out
+        // (to the job, exporter and hash store) once the API has delivered all of them
+        if (settings.backend === 'auto') apiScrapper.holdEvents();
+        try {
+            const hashes = await apiScrapper.scrappe();
+            apiScrapper.releaseEvents();
+            return { scrapper: apiScrapper, hashes };
+        } catch (error) {
+            if (!(error instanceof ApiError) || settings.backend === 'api') throw error;
+            console.warn(`${type}: API request failed (${error.message}), falling back to scraping`);
+        }
+    }
+
+    const Scrapper = type === 'external' ? ExternalScrapper : InternalScrapper;
+    const scrapper = new Scrapper(electronApp, tokenAddress, { ...options, checkpoint, pool, sessionManager });
+    setup(scrapper);
+    return { scrapper, hashes: await scrapper.scrappe() };
+}
+
+// Cross-check the external transactions against the token's Transfer logs and, with rescrapeGaps,
+// scrape the block ranges of missing transfers again. Resolves to the verification and the hashes
+// and rows the gap scrapes recovered; only those are exported and emitted as 'hashes'. Gap pages go
+// to the hash store too, stored collecting the hashes it did not know.
+async function verifyTransfers(tokenAddress, options, settings, context, job, scraped, stored) {
+    const verifier = new LogVerifier(context.rpcClient, tokenAddress, { range: settings.range, chunkSize: settings.logChunkSize });
+    const bounds = await verifier.blockBounds();
+    console.log(`Verifying external transactions against Transfer logs of ${describeRange(bounds)}...`);
+    const transfers = await verifier.fetchTransfers(bounds);
+    const verification = verifier.diff(scraped.rows, transfers, bounds);
+    const recovered = { hashes: [], rows: [] };
+    if (verification.complete || !settings.rescrapeGaps) return { verification, recovered };
+
+    console.log(`${verification.missing.length} transfers missing, scraping ${verification.gaps.length} block ranges again...`);
+    const known = new Set(scraped.hashes);
+    const setup = scrapper => {
+        ['retry', 'blocked', 'progress'].forEach(event => scrapper.on(event, data => job.emit(event, data)));
+        if (context.hashStore) storePages(scrapper, context.hashStore, stored);
+        scrapper.on('page', ({ chain, address, type, range, page, rows }) => {
+            const fresh = rows.filter(row => row.hash && !known.has(row.hash));
+            if (fresh.length === 0) return;
+            fresh.forEach(row => known.add(row.hash));
+            const hashes = Array.from(new Set(fresh.map(row => row.hash)));
+            recovered.hashes.push(...hashes);
+            recovered.rows.push(...fresh);
+            if (context.exporter) context.exporter.write({ chain, address, type }, fresh);
+            job.emit('hashes', { chain, address, type, range, page, hashes });
+        });
+    };
+    // One gap at a time: they are small, and the window pool is still shared with other addresses
+    for (const gap of verification.gaps) {
+        const gapOptions = { ...options, fromBlock: gap.fromBlock, toBlock: gap.toBlock, fromDate: undefined, toDate: undefined };
+        await collectType('external', tokenAddress, gapOptions, validateOptions(gapOptions), context, null, setup);
+    }
+
+    const after = verifier.diff([...scraped.rows, ...recovered.rows], transfers, bounds);
+    after.rescraped = { ranges: verification.gaps, recovered: verification.missing.length - after.missing.length };
+    return { verification: after, recovered };
+}
+
+async function scrapeAddress(tokenAddress, options, job, context) {
+    const settings = validateOptions(options);
+    const { resume, incremental, range, explorer } = settings;
+
+    // Per-address state of other chains lives in a subdirectory, so the same address on two chains never mixes
+    const checkpointDir = explorerDir(settings.checkpointDir ?? DEFAULT_CHECKPOINT_DIR, explorer);
+    const seenDir = explorerDir(settings.seenDir ?? DEFAULT_SEEN_DIR, explorer);
+    const { pool, exporter, sessionManager, apiClient, enricher, hashStore } = context;
+
+    // Make sure every session the windows use (one per proxy) gets past Cloudflare before starting
+    // scrapers; the check window only opens for a challenge. The same managers re-open it if a block
+    // shows up mid-run (including after an API fallback)
+    if (!apiClient) {
+        const testUrl = buildQueryUrl(QUERIES.external, tokenAddress, 1, null, explorer);
+        for (const partition of await pool.sessionPartitions()) {
+            if (!await sessionManager.forPartition(partition).ensureClearance(testUrl)) {
+                console.warn('Proceeding without Cloudflare clearance; blocked pages will re-open the check window');
+            }
+        }
+    }
+
+    // Checkpoints let an interrupted run pick up where it stopped; a fresh run starts them over
+    const externalCheckpoint = new CheckpointStore(tokenAddress, 'external', checkpointDir, range);
+    const internalCheckpoint = new CheckpointStore(tokenAddress, 'internal', checkpointDir, range);
+    if (resume) {
+        externalCheckpoint.load();
+        internalCheckpoint.load();
+        console.log(`Resuming: ${externalCheckpoint.completedCount} external and ${internalCheckpoint.completedCount} internal pages already completed`);
+    } else {
+        externalCheckpoint.reset();
+        internalCheckpoint.reset();
+    }
+
+    // Incremental mode stops paging at hashes recorded by a previous complete run
+    const externalSeen = incremental ? new SeenHashStore(tokenAddress, 'external', seenDir).load() : null;
+    const internalSeen = incremental ? new SeenHashStore(tokenAddress, 'internal', seenDir).load() : null;
+    if (incremental) {
+        console.log(`Incremental mode: ${externalSeen.size} external and ${internalSeen.size} internal hashes known from previous runs`);
     }
 
     const totalStartTime = Date.now();
+    // The pool outlives the address in a batch; addresses scraped concurrently share its sessions, so
+    // their requests in the same time span are counted too
+    const resourcesBefore = pool.resourceStats();
+
+    console.log(`Explorer: ${explorer.name} (${apiClient ? `API ${apiClient.apiUrl}` : explorer.baseUrl})`);
+    if (range) console.log(`Restricting scrape to ${describeRange(range)}`);
 
     try {
-        const externalScrapper = new ExternalScrapper(electronApp, tokenAddress, maxWindows, totalPages);
-        const internalScrapper = new InternalScrapper(electronApp, tokenAddress, maxWindows, totalPages);
-        const [externalHashes, internalHashes] = await Promise.all([externalScrapper.scrappe(), internalScrapper.scrappe()]);
+        // Hashes the hash store saw for the first time
+        const stored = { external: [], internal: [] };
+        // Scrapers of this address, so a type that fails can stop the other one
+        const running = [];
+        const setup = (seen, added) => scrapper => {
+            running.push(scrapper);
+            forwardEvents(scrapper, job);
+            if (exporter) exportPages(scrapper, exporter);
+            if (hashStore) storePages(scrapper, hashStore, added);
+            if (incremental) scrapper.knownHashes = seen.hashes;
+        };
+        const collect = (type, checkpoint, seen, added) => collectType(type, tokenAddress, options, settings, context, checkpoint, setup(seen, added))
+            .catch(error => {
+                running.forEach(scrapper => scrapper.stop());
+                throw error;
+            });
+        // Both types are waited for even when one fails: in a batch the pool, checkpoints and exporter
+        // outlive the address, and a scraper still running would race the retry of the address
+        const outcomes = await Promise.allSettled([
+            collect('external', externalCheckpoint, externalSeen, stored.external),
+            collect('internal', internalCheckpoint, internalSeen, stored.internal)
+        ]);
+        const failure = outcomes.find(outcome => outcome.status === 'rejected');
+        if (failure) throw failure.reason;
+        const [
+            { scrapper: externalScrapper, hashes: scrapedExternalHashes },
+            { scrapper: internalScrapper, hashes: internalHashes }
+        ] = outcomes.map(outcome => outcome.value);
+        let externalHashes = scrapedExternalHashes;
+        let externalRows = externalScrapper.getRows();
+
+        let verification = null;
+        if (settings.verify) {
+            // Incremental runs stop at hashes of earlier runs; those count as scraped (their blocks are not kept)
+            const seenRows = incremental ? Array.from(externalSeen.hashes, hash => ({ hash, block: null })) : [];
+            try {
+                const verified = await verifyTransfers(tokenAddress, options, settings, context, job, {
+                    hashes: externalHashes,
+                    rows: [...externalRows, ...seenRows]
+                }, stored.external);
+                verification = verified.verification;
+                externalHashes = [...externalHashes, ...verified.recovered.hashes];
+                externalRows = [...externalRows, ...verified.recovered.rows];
+            } catch (error) {
+                console.error('Log verification failed:', error.message);
+                verification = { complete: false, error: error.message };
+            }
+        }
         
         const totalEndTime = Date.now();
         const totalSeconds = Math.round((totalEndTime - totalStartTime) / 1000);
         const totalMinutes = Math.floor(totalSeconds / 60);
         const remainingSeconds = totalSeconds % 60;
         
+        const report = buildReport(externalScrapper, internalScrapper, externalHashes, internalHashes);
+
         console.log('=== PARALLEL EXECUTION SUMMARY ===');
         console.log(`External transactions: ${externalHashes.length} hashes`);
         console.log(`Internal transactions: ${internalHashes.length} hashes`);
-        console.log(`Total unique hashes: ${externalHashes.length + internalHashes.length}`);
+        console.log(`Total unique hashes: ${report.uniqueHashes} (${report.overlap} in both)`);
         console.log(`Total parallel time: ${totalSeconds} seconds (${totalMinutes}m ${remainingSeconds}s)`);
+        const resources = resourcesBefore ? pool.filter.since(resourcesBefore) : null;
+        if (resources) {
+            console.log(`🧹 Blocked ${resources.blocked} of ${resources.blocked + resources.allowed} requests (~${(resources.bytesSaved / 1e6).toFixed(1)} MB saved)`);
+        }
+        if (verification && !verification.error) {
+            const { logs, missing, extra, rescraped } = verification;
+            const recovered = rescraped ? `, ${rescraped.recovered} recovered from ${rescraped.ranges.length} gap ranges` : '';
+            console.log(`🔗 Verified against ${logs} Transfer logs: ${missing.length} missing, ${extra.length} without a Transfer log${recovered}`);
+            verification.gaps.forEach(gap => console.warn(`⚠️ external ${describeRange(gap)}: transfers not scraped`));
+        }
+        if (!report.complete) {
+            [report.external, report.internal].forEach(typeReport => {
+                typeReport.failedPages.forEach(({ range, page, type, reason }) => {
+                    console.warn(`⚠️ ${typeReport.type} ${describeRange(range)} page ${page} failed: ${type} (${reason})`);
+                });
+                typeReport.truncated.forEach(({ range, reason }) => {
+                    console.warn(`⚠️ ${typeReport.type} ${describeRange(range)} may be incomplete: ${reason}`);
+                });
+            });
+        }
 
-        return {
+        const result = {
             external: externalHashes,
             internal: internalHashes,
-            totalTime: totalSeconds
+            rows: {
+                external: externalRows,
+                internal: internalScrapper.getRows()
+            },
+            failed: {
+                external: externalScrapper.failedCount,
+                internal: internalScrapper.failedCount
+            },
+            totalTime: totalSeconds,
+            resources,
+            report
         };
+        if (verification) result.verification = verification;
+        if (hashStore) {
+            result.stored = stored;
+            console.log(`🗃️ Hash store: ${stored.external.length} new external and ${stored.internal.length} new internal hashes (${hashStore.size} stored)`);
+        }
+
+        if (enricher) {
+            console.log(`Enriching ${report.uniqueHashes} hashes over JSON-RPC...`);
+            result.enrichment = await enricher.enrich([...externalHashes, ...internalHashes]);
+            const { transactions, cached, fetched, missing, failed } = result.enrichment;
+            console.log(`🔎 Enriched ${Object.keys(transactions).length} transactions (${cached} cached, ${fetched} fetched, ${missing.length} unknown to the node, ${failed.length} failed)`);
+        }
+
+        if (incremental) {
+            result.new = {
+                external: externalHashes.filter(hash => !externalSeen.has(hash)),
+                internal: internalHashes.filter(hash => !internalSeen.has(hash))
+            };
+            console.log(`New since last run: ${result.new.external.length} external, ${result.new.internal.length} internal`);
+
+            recordSeenHashes(externalSeen, externalScrapper, externalHashes);
+            recordSeenHashes(internalSeen, internalScrapper, internalHashes);
+        }
+
+        return result;
 
     } catch (error) {
         console.error('Error during parallel scraping:', error);
         throw error;
-    } finally {
-        // Quit the app after scraping is complete
-        console.log('Quitting application...');
-        electronApp.quit();
     }
 }
 
+// Start a scrape. Returns a ScrapeJob: await it for the final result, or listen to its
+// page/hashes/retry/blocked/progress/done events (or iterate it with for await) to stream results.
+// The original positional form runScraper(address, maxWindows, totalPages[, options]) is still accepted.
+function runScraper(tokenAddress, options = {}, totalPages, legacyOptions = {}) {
+    if (typeof options !== 'object' || options === null) {
+        options = { ...legacyOptions, maxWindows: options, totalPages };
+    }
+
+    if (!isValidAddress(tokenAddress)) {
+        throw new TypeError(`Invalid address: ${tokenAddress}`);
+    }
+    validateOptions(options);
+
+    return new ScrapeJob().start(async job => {
+        const context = await createContext(validateOptions(options));
+        try {
+            return await scrapeAddress(tokenAddress, options, job, context);
+        } finally {
+            await closeContext(context);
+        }
+    });
+}
+
+const BATCH_DEFAULTS = {
+    concurrency: 1, // Addresses scraped at the same time
+    maxAttempts: 2 // Runs per address before it stays failed
+};
+
+function validateBatchOptions(options) {
+    const { concurrency, maxAttempts, ...rest } = { ...BATCH_DEFAULTS, ...options };
+    const { queueFile = defaultQueueFile(resolveExplorer(rest.chain)), ...scrapeOptions } = rest;
+
+    [['concurrency', concurrency, 20], ['maxAttempts', maxAttempts, 10]].forEach(([key, value, max]) => {
+        if (!Number.isInteger(value)) {
+            throw new TypeError(`Option ${key} must be an integer, got ${JSON.stringify(value)}`);
+        }
+        if (value < 1 || value > max) {
+            throw new RangeError(`Option ${key} must be between 1 and ${max}, got ${value}`);
+        }
+    });
+    if (typeof queueFile !== 'string' || queueFile === '') {
+        throw new TypeError(`Option queueFile must be a non-empty string, got ${JSON.stringify(queueFile)}`);
+    }
+
+    return { concurrency, maxAttempts, queueFile, scrapeOptions };
+}
+
+// Scrape many addresses in one Electron app lifetime. Addresses go through a persistent queue, so
+// calling runBatch again after an interruption continues with the ones not done yet. Up to
+// `concurrency` addresses run at once, all sharing one window pool capped at maxWindows.
+// Returns a ScrapeJob resolving to { results, status, addresses }; scraper events carry the address they belong to.
+function runBatch(addresses, options = {}) {
+    if (!Array.isArray(addresses)) {
+        throw new TypeError('runBatch expects an array of addresses');
+    }
+    const invalid = addresses.filter(address => !isValidAddress(address));
+    if (invalid.length > 0) {
+        throw new TypeError(`Invalid address${invalid.length > 1 ? 'es' : ''}: ${invalid.join(', ')}`);
+    }
+
+    const { concurrency, maxAttempts, queueFile, scrapeOptions } = validateBatchOptions(options);
+    const settings = validateOptions(scrapeOptions);
+
+    const queue = new JobQueue(queueFile).load().add(addresses);
+    const queued = queue.summary();
+    console.log(`Batch queue: ${queued.pending} pending, ${queued.done} done of ${queued.total} addresses`);
+
+    // Resuming an interrupted batch adds to what it already exported
+    const append = settings.resume || queue.list().some(entry => entry.attempts > 0);
+
+    return new ScrapeJob().start(async job => {
+        const context = await createContext(settings, append);
+        const results = {};
+
+        const worker = async () => {
+            let entry;
+            while ((entry = queue.next(maxAttempts)) !== null) {
+                const { address, attempts } = entry;
+                console.log(`\n=== ${address} (attempt ${attempts}/${maxAttempts}) ===`);
+                job.emit('address-start', { address, attempts });
+
+                try {
+                    // A retried address picks up from its checkpoints
+                    const result = await scrapeAddress(address, { ...scrapeOptions, resume: scrapeOptions.resume || attempts > 1 }, job, context);
+                    results[address] = result;
+                    queue.markDone(address, {
+                        external: result.external.length,
+                        internal: result.internal.length,
+                        complete: result.report.complete && result.verification?.complete !== false,
+                        totalTime: result.totalTime
+                    });
+                    job.emit('address-done', { address, result });
+                } catch (error) {
+                    queue.markFailed(address, error.message);
+                    job.emit('address-failed', { address, attempts, error: error.message });
+                }
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: concurrency }, worker));
+        } finally {
+            await closeContext(context);
+        }
+
+        const status = queue.summary();
+        const entries = queue.list();
+        console.log(`=== BATCH SUMMARY: ${status.done} done, ${status.failed} failed of ${status.total} addresses ===`);
+
+        // A fully completed batch leaves nothing to resume; failed addresses stay queued for the next run
+        if (status.done === status.total) queue.clear();
+
+        return { results, status, addresses: entries };
+    });
+}
+
 // Export the main function for use as a module
-export { runScraper };
+export { runScraper, runBatch, validateOptions, DEFAULT_OPTIONS, ScrapeJob, JOB_EVENTS, BATCH_EVENTS, JobQueue };
+
+// Supported Etherscan-family explorers
+export { EXPLORERS, CHAINS, resolveExplorer };
+
+// Etherscan API backend
+export { ApiClient, ApiScrapper, ApiError };
+
+// Default request blocklists, to extend in the blockedTypes / blockedUrls options
+export { DEFAULT_BLOCKED_TYPES, DEFAULT_BLOCKED_URLS };
+
+// JSON-RPC enrichment, for hashes from any source
+export { RpcClient, RpcEnricher, RpcCache };
+
+// Transfer log verification, see logVerifier.js
+export { LogVerifier, gapRanges };
+
+// Hashes of earlier runs with storeHashes, see hashStore.js
+export { HashStore, getHashes, DEFAULT_HASH_STORE_DIR };
+
+// Exporters, for streaming rows from your own scrapers or job events
+export { createExporter, exportPages, EXPORT_FORMATS };
+
+// Building blocks for custom scrape targets
+export { BaseScrapper, ExternalScrapper, InternalScrapper, WindowPool, SessionManager, QUERIES, methodQuery, classifyPage, PAGE_TYPES };
 
 // Only run the example when this file is executed directly (not when imported)
 const isMainModule = process.argv[1] && process.argv[1].endsWith('index.js');
@@ -198,7 +577,7 @@ if (isMainModule) {
     (async () => {
         try {
             console.log('Starting Ethereum transaction scraper...');
-            const result = await runScraper('0x0023A1D0106185cBcC81b253a267b9d05015E0b7', 10, 500);
+            const result = await runScraper('0x0023A1D0106185cBcC81b253a267b9d05015E0b7', { maxWindows: 10, totalPages: 500 });
             console.log('Scraping completed successfully!');
         } catch (error) {
             console.error('Scraping failed:', error);
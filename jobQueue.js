@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CHAIN } from './explorers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_QUEUE_FILE = path.join(__dirname, 'batch-queue.json');
+
+// Default queue of an explorer's batches; Ethereum keeps the original file
+export function defaultQueueFile(explorer) {
+    return explorer.id === DEFAULT_CHAIN ? DEFAULT_QUEUE_FILE : path.join(__dirname, `batch-queue-${explorer.id}.json`);
+}
+
+export const ADDRESS_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+// Persistent queue of addresses for batch scraping. Every status change is written to disk,
+// so an interrupted batch picks up where it stopped on the next run.
+export class JobQueue {
+    constructor(file = DEFAULT_QUEUE_FILE) {
+        this.file = file;
+        this.entries = new Map(); // lowercased address -> entry
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+                (data.entries || []).forEach(entry => {
+                    // An entry still marked running was interrupted; run it again
+                    if (entry.status === ADDRESS_STATUS.RUNNING) entry.status = ADDRESS_STATUS.PENDING;
+                    this.entries.set(entry.address.toLowerCase(), entry);
+                });
+            }
+        } catch (error) {
+            console.error(`Error loading batch queue ${this.file}:`, error.message);
+            this.entries.clear();
+        }
+        return this;
+    }
+
+    // Queue addresses; ones that failed in an earlier batch get a fresh set of attempts
+    add(addresses) {
+        addresses.forEach(address => {
+            const key = address.toLowerCase();
+            const existing = this.entries.get(key);
+
+            if (!existing) {
+                this.entries.set(key, {
+                    address,
+                    status: ADDRESS_STATUS.PENDING,
+                    attempts: 0,
+                    error: null,
+                    startedAt: null,
+                    finishedAt: null,
+                    summary: null
+                });
+            } else if (existing.status === ADDRESS_STATUS.FAILED) {
+                existing.status = ADDRESS_STATUS.PENDING;
+                existing.attempts = 0;
+                existing.error = null;
+            }
+        });
+        this.save();
+        return this;
+    }
+
+    // Claim the next address to run: pending ones first, then failed ones with attempts left
+    next(maxAttempts = 1) {
+        const all = Array.from(this.entries.values());
+        const entry = all.find(e => e.status === ADDRESS_STATUS.PENDING) ||
+            all.find(e => e.status === ADDRESS_STATUS.FAILED && e.attempts < maxAttempts);
+        if (!entry) return null;
+
+        entry.status = ADDRESS_STATUS.RUNNING;
+        entry.attempts++;
+        entry.startedAt = new Date().toISOString();
+        entry.finishedAt = null;
+        this.save();
+        return entry;
+    }
+
+    markDone(address, summary) {
+        this.update(address, { status: ADDRESS_STATUS.DONE, error: null, summary });
+    }
+
+    markFailed(address, error) {
+        this.update(address, { status: ADDRESS_STATUS.FAILED, error });
+    }
+
+    update(address, changes) {
+        const entry = this.entries.get(address.toLowerCase());
+        if (!entry) return;
+
+        Object.assign(entry, changes, { finishedAt: new Date().toISOString() });
+        this.save();
+    }
+
+    get(address) {
+        return this.entries.get(address.toLowerCase()) || null;
+    }
+
+    list() {
+        return Array.from(this.entries.values());
+    }
+
+    // Counts per status
+    summary() {
+        const counts = Object.fromEntries(Object.values(ADDRESS_STATUS).map(status => [status, 0]));
+        this.entries.forEach(entry => { counts[entry.status]++; });
+        return { total: this.entries.size, ...counts };
+    }
+
+    save() {
+        try {
+            const dir = path.dirname(this.file);
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+            const data = { updatedAt: new Date().toISOString(), entries: this.list() };
+            const tempFile = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+            fs.renameSync(tempFile, this.file);
+        } catch (error) {
+            console.error(`Error saving batch queue ${this.file}:`, error.message);
+        }
+    }
+
+    // Remove the queue file, e.g. once every address is done
+    clear() {
+        this.entries.clear();
+        try {
+            if (fs.existsSync(this.file)) fs.unlinkSync(this.file);
+        } catch (error) {
+            console.error(`Error clearing batch queue ${this.file}:`, error.message);
+        }
+    }
+}
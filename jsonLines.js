@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+
+// Append-only JSON lines file behind the on-disk stores (RpcCache, HashStore): one JSON value per
+// line, appended as it comes, so a crash loses at most the line being written. label names the
+// store in error messages; errors are logged rather than thrown, as a store is only an optimisation.
+export class JsonLinesFile {
+    constructor(file, label) {
+        this.file = file;
+        this.label = label;
+    }
+
+    // Every line that parses, in order; [] when the file does not exist yet
+    read() {
+        const entries = [];
+        try {
+            if (fs.existsSync(this.file)) {
+                fs.readFileSync(this.file, 'utf8').split('\n').forEach(line => {
+                    if (!line) return;
+                    try {
+                        entries.push(JSON.parse(line));
+                    } catch (error) {
+                        // A line cut off by a crash; its entry is written again when next needed
+                    }
+                });
+            }
+        } catch (error) {
+            console.error(`Error loading ${this.label} ${this.file}:`, error.message);
+        }
+        return entries;
+    }
+
+    // Returns false when the entries could not be written
+    append(entries) {
+        if (entries.length === 0) return true;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+            return true;
+        } catch (error) {
+            console.error(`Error saving ${this.label} ${this.file}:`, error.message);
+            return false;
+        }
+    }
+
+    // Replace the whole file; the temp file + rename keeps it intact if we crash mid-write
+    rewrite(entries) {
+        try {
+            const tempFile = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(tempFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+            fs.renameSync(tempFile, this.file);
+            return true;
+        } catch (error) {
+            console.error(`Error rewriting ${this.label} ${this.file}:`, error.message);
+            return false;
+        }
+    }
+}
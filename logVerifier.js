@@ -0,0 +1,124 @@
+import { TRANSFER_TOPIC, TOO_MANY_RESULTS, RpcError } from './rpcEnricher.js';
+import { isBlockRange } from './ranges.js';
+
+// Cross-checks the scraped ERC-20 transfers of a token against the chain: the token's Transfer logs
+// over the same block range (eth_getLogs, chunked by block range) list every transaction the external
+// scrape should have found. Missing hashes are grouped into block ranges that can be scraped again.
+
+// Missing transactions at most this many blocks apart are scraped again as one range
+const GAP_MERGE_BLOCKS = 100;
+
+function toHex(block) {
+    return '0x' + block.toString(16);
+}
+
+// Block ranges covering the given blocks, merging blocks up to mergeBlocks apart
+export function gapRanges(blocks, mergeBlocks = GAP_MERGE_BLOCKS) {
+    const sorted = Array.from(new Set(blocks.filter(block => block !== null))).sort((a, b) => a - b);
+    const ranges = [];
+    sorted.forEach(block => {
+        const last = ranges[ranges.length - 1];
+        if (last && block - last.toBlock <= mergeBlocks) {
+            last.toBlock = block;
+        } else {
+            ranges.push({ fromBlock: block, toBlock: block });
+        }
+    });
+    return ranges;
+}
+
+export class LogVerifier {
+    constructor(client, tokenAddress, options = {}) {
+        this.client = client; // RpcClient, see rpcEnricher.js
+        this.tokenAddress = tokenAddress.toLowerCase();
+        this.range = options.range ?? null;
+        this.chunkSize = options.chunkSize ?? 10000; // Blocks per eth_getLogs call
+    }
+
+    async call(method, params) {
+        const [result] = await this.client.batch([{ method, params }]);
+        if (result instanceof RpcError) throw result;
+        return result;
+    }
+
+    // Block bounds of the range; an open end is the node's latest block
+    async blockBounds() {
+        if (this.range && !isBlockRange(this.range)) {
+            throw new TypeError('Log verification needs a block range (fromBlock / toBlock), not a date range');
+        }
+
+        const fromBlock = this.range?.fromBlock ?? 0;
+        const toBlock = this.range?.toBlock ?? Number(BigInt(await this.call('eth_blockNumber', [])));
+        return { fromBlock, toBlock };
+    }
+
+    async getLogs(fromBlock, toBlock) {
+        try {
+            return await this.call('eth_getLogs', [{
+                address: this.tokenAddress,
+                topics: [TRANSFER_TOPIC],
+                fromBlock: toHex(fromBlock),
+                toBlock: toHex(toBlock)
+            }]);
+        } catch (error) {
+            // A chunk the node refuses for too many logs is split in two and fetched again
+            if (error.retryable || !TOO_MANY_RESULTS.test(error.message) || fromBlock === toBlock) throw error;
+
+            const middle = Math.floor((fromBlock + toBlock) / 2);
+            const [older, newer] = await Promise.all([this.getLogs(fromBlock, middle), this.getLogs(middle + 1, toBlock)]);
+            return [...older, ...newer];
+        }
+    }
+
+    // Transactions with an ERC-20 Transfer of the token within the bounds: hash -> block
+    async fetchTransfers({ fromBlock, toBlock }) {
+        const chunks = [];
+        for (let start = fromBlock; start <= toBlock; start += this.chunkSize) {
+            chunks.push([start, Math.min(start + this.chunkSize - 1, toBlock)]);
+        }
+
+        const logs = (await Promise.all(chunks.map(([from, to]) => this.getLogs(from, to)))).flat();
+        const transfers = new Map();
+        logs
+            .filter(log => !log.removed && log.topics?.length === 3 && log.topics[0].toLowerCase() === TRANSFER_TOPIC)
+            .forEach(log => transfers.set(log.transactionHash.toLowerCase(), Number(BigInt(log.blockNumber))));
+        return transfers;
+    }
+
+    // Compare scraped rows ({ hash, block }) with the transfers. Rows past the bounds (e.g. blocks the
+    // node has not synced yet) are left out. complete is true when no transfer is missing; extra
+    // hashes were scraped but have no Transfer log of the token.
+    diff(rows, transfers, bounds) {
+        const scraped = new Map();
+        rows.forEach(row => {
+            if (!row.hash || (row.block !== null && (row.block < bounds.fromBlock || row.block > bounds.toBlock))) return;
+            scraped.set(row.hash.toLowerCase(), row.block);
+        });
+
+        const byBlock = (a, b) => (b.block ?? 0) - (a.block ?? 0);
+        const missing = Array.from(transfers)
+            .filter(([hash]) => !scraped.has(hash))
+            .map(([hash, block]) => ({ hash, block }))
+            .sort(byBlock);
+        const extra = Array.from(scraped)
+            .filter(([hash]) => !transfers.has(hash))
+            .map(([hash, block]) => ({ hash, block }))
+            .sort(byBlock);
+
+        return {
+            range: bounds,
+            logs: transfers.size,
+            scraped: scraped.size,
+            complete: missing.length === 0,
+            missing,
+            extra,
+            gaps: gapRanges(missing.map(entry => entry.block))
+        };
+    }
+
+    // Fetch the logs and diff them against the scraped rows in one go
+    async verify(rows) {
+        const bounds = await this.blockBounds();
+        return this.diff(rows, await this.fetchTransfers(bounds), bounds);
+    }
+}
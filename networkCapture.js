@@ -0,0 +1,103 @@
+// Captures the main document of a navigation from the DevTools protocol (Network domain) instead of
+// reading the rendered DOM: the HTTP status and the body as the server sent it are available as soon
+// as the response finishes loading, without waiting for scripts, images or a fixed timer.
+
+// How scrapePage reads a page: 'network' from the captured response, 'dom' from the rendered document
+export const CAPTURE_MODES = ['network', 'dom'];
+
+const CDP_VERSION = '1.3';
+
+function normalizeUrl(url) {
+    try {
+        return new URL(url).href;
+    } catch (error) {
+        return url;
+    }
+}
+
+// One per window. attach() once, then expectDocument(url) before each loadURL(url).
+export class NetworkCapture {
+    constructor(webContents) {
+        this.debugger = webContents.debugger;
+        this.attached = false;
+        this.unavailable = null; // Why the debugger could not be attached, e.g. DevTools already open
+        this.pending = null; // { url, requestId, status, resolve, reject } of the awaited document
+
+        this.onMessage = (event, method, params) => this.handleMessage(method, params);
+        this.onDetach = (event, reason) => {
+            this.attached = false;
+            this.fail(new Error(`Network capture detached: ${reason}`));
+        };
+    }
+
+    // Resolves to false when the debugger cannot be used; the caller then reads the DOM instead
+    async attach() {
+        if (this.attached) return true;
+        if (this.unavailable) return false;
+
+        try {
+            if (!this.debugger.isAttached()) this.debugger.attach(CDP_VERSION);
+            this.debugger.on('message', this.onMessage);
+            this.debugger.on('detach', this.onDetach);
+            await this.debugger.sendCommand('Network.enable');
+            this.attached = true;
+            return true;
+        } catch (error) {
+            this.unavailable = error.message;
+            this.debugger.removeListener('message', this.onMessage);
+            this.debugger.removeListener('detach', this.onDetach);
+            console.warn(`Network capture unavailable (${error.message}), reading the rendered page instead`);
+            return false;
+        }
+    }
+
+    // Promise of { status, body } for the next navigation to url. Rejects when the request fails.
+    expectDocument(url) {
+        this.fail(new Error('Superseded by another navigation'));
+        return new Promise((resolve, reject) => {
+            this.pending = { url: normalizeUrl(url), requestId: null, status: null, resolve, reject };
+        });
+    }
+
+    // Stop waiting, e.g. after a timeout, so a late response is not taken for the next page
+    cancel() {
+        this.pending = null;
+    }
+
+    fail(error) {
+        const pending = this.pending;
+        this.pending = null;
+        pending?.reject(error);
+    }
+
+    handleMessage(method, params) {
+        const pending = this.pending;
+        if (!pending) return;
+
+        // The document request is recognised by its URL; redirects keep the same request id
+        if (method === 'Network.requestWillBeSent') {
+            if (pending.requestId === null && params.type === 'Document' && normalizeUrl(params.request.url) === pending.url) {
+                pending.requestId = params.requestId;
+            }
+            return;
+        }
+        if (params.requestId !== pending.requestId) return;
+
+        if (method === 'Network.responseReceived') {
+            pending.status = params.response.status;
+        } else if (method === 'Network.loadingFinished') {
+            this.pending = null;
+            this.readBody(params.requestId)
+                .then(body => pending.resolve({ status: pending.status, body }))
+                .catch(error => pending.reject(new Error(`Response body unavailable: ${error.message}`)));
+        } else if (method === 'Network.loadingFailed') {
+            this.pending = null;
+            pending.reject(new Error(`Navigation failed: ${params.errorText}${params.canceled ? ' (canceled)' : ''}`));
+        }
+    }
+
+    async readBody(requestId) {
+        const { body, base64Encoded } = await this.debugger.sendCommand('Network.getResponseBody', { requestId });
+        return base64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body;
+    }
+}
@@ -0,0 +1,215 @@
+import { normalizeRange, isBlockRange } from './ranges.js';
+import { EXPORT_FORMATS } from './exporters.js';
+import { resolveExplorer, withBaseUrl, DEFAULT_CHAIN } from './explorers.js';
+import { BACKENDS } from './apiBackend.js';
+import { parseProxy } from './proxies.js';
+import { CAPTURE_MODES } from './networkCapture.js';
+import { RESOURCE_TYPES } from './requestFilter.js';
+import sha3 from 'js-sha3';
+
+const { keccak256 } = sha3;
+
+// Every option runScraper and the scrapers accept, with its default
+export const DEFAULT_OPTIONS = {
+    chain: DEFAULT_CHAIN, // Explorer to scrape, see explorers.js
+    explorerUrl: undefined, // Origin to load the chain's explorer pages from instead, e.g. a local mock
+    maxWindows: 10, // Global cap on concurrent browser windows
+    totalPages: 500, // Maximum pages per query (per sub-range for split ranges)
+    headless: true,
+    offscreen: true,
+    windowCooldown: 300, // ms between same-window requests
+    minRequestInterval: 100, // ms between any two requests, across all windows
+    adaptiveRate: true, // Slow down and use fewer windows when pages get blocked, speed back up after
+    proxies: undefined, // Proxy URLs to spread the windows over, each with its own session
+    maxProxyFailures: 3, // Blocked pages or proxy errors in a row before a proxy is dropped for a while
+    capture: 'network', // Read pages from the HTTP response ('network') or the rendered document ('dom')
+    blockResources: true, // Block images, fonts, analytics and ads in scraper windows, see requestFilter.js
+    blockedTypes: undefined, // Resource types to block instead of the default ones
+    blockedUrls: undefined, // URL patterns to block instead of the default ones ('*' wildcards)
+    autoRetryFailed: true,
+    maxRetries: 2,
+    pageTimeout: 8000,
+    batchDelay: 100,
+    resume: false,
+    incremental: false,
+    checkpointDir: undefined,
+    seenDir: undefined,
+    storeHashes: false, // Record every hash with its page and first/last seen time, see hashStore.js
+    hashStoreDir: undefined,
+    fromBlock: undefined,
+    toBlock: undefined,
+    fromDate: undefined,
+    toDate: undefined,
+    backend: 'auto', // auto: Etherscan API when apiKey is set, scraping otherwise or when the API fails
+    apiKey: undefined,
+    apiUrl: undefined, // API endpoint override, e.g. a local mock; defaults to the explorer's
+    apiRateLimit: 5, // API calls per second
+    rpcUrl: undefined, // JSON-RPC endpoint; when set, results are enriched with transactions and receipts
+    rpcBatchSize: 50, // Hashes per JSON-RPC batch request
+    rpcConcurrency: 4, // JSON-RPC batch requests in flight
+    rpcCacheDir: undefined, // Cache of mined transaction records, see rpcEnricher.js
+    verify: false, // Cross-check external transactions against the token's Transfer logs (needs rpcUrl)
+    logChunkSize: 10000, // Blocks per eth_getLogs call
+    rescrapeGaps: true, // Scrape the block ranges of transfers the verification found missing again
+    out: undefined, // File rows are streamed to as pages complete
+    format: undefined // jsonl, csv or sqlite; guessed from the out extension when omitted
+};
+
+// [kind, min, max] per option ([kind, values] for enums); range options are checked by normalizeRange
+export const OPTION_RULES = {
+    chain: ['chain'],
+    explorerUrl: ['string'],
+    maxWindows: ['integer', 1, 50],
+    totalPages: ['integer', 1, 100000],
+    headless: ['boolean'],
+    offscreen: ['boolean'],
+    windowCooldown: ['integer', 0, 60000],
+    minRequestInterval: ['integer', 0, 60000],
+    adaptiveRate: ['boolean'],
+    proxies: ['proxies'],
+    maxProxyFailures: ['integer', 1, 100],
+    capture: ['enum', CAPTURE_MODES],
+    blockResources: ['boolean'],
+    blockedTypes: ['resourceTypes'],
+    blockedUrls: ['urlPatterns'],
+    autoRetryFailed: ['boolean'],
+    maxRetries: ['integer', 1, 20],
+    pageTimeout: ['integer', 1000, 120000],
+    batchDelay: ['integer', 0, 60000],
+    resume: ['boolean'],
+    incremental: ['boolean'],
+    checkpointDir: ['string'],
+    seenDir: ['string'],
+    storeHashes: ['boolean'],
+    hashStoreDir: ['string'],
+    fromBlock: ['range'],
+    toBlock: ['range'],
+    fromDate: ['range'],
+    toDate: ['range'],
+    backend: ['enum', BACKENDS],
+    apiKey: ['string'],
+    apiUrl: ['string'],
+    apiRateLimit: ['integer', 1, 100],
+    rpcUrl: ['string'],
+    rpcBatchSize: ['integer', 1, 500],
+    rpcConcurrency: ['integer', 1, 32],
+    rpcCacheDir: ['string'],
+    verify: ['boolean'],
+    logChunkSize: ['integer', 1, 1000000],
+    rescrapeGaps: ['boolean'],
+    out: ['string'],
+    format: ['enum', EXPORT_FORMATS]
+};
+
+function checkOption(name, value) {
+    const [kind, min, max] = OPTION_RULES[name];
+
+    switch (kind) {
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                throw new TypeError(`Option "${name}" must be an integer, got ${JSON.stringify(value)}`);
+            }
+            if (value < min || value > max) {
+                throw new RangeError(`Option "${name}" must be between ${min} and ${max}, got ${value}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                throw new TypeError(`Option "${name}" must be a boolean, got ${JSON.stringify(value)}`);
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string' || !value) {
+                throw new TypeError(`Option "${name}" must be a non-empty string`);
+            }
+            break;
+        case 'chain':
+            resolveExplorer(value);
+            break;
+        case 'proxies':
+            if (!Array.isArray(value) || value.length === 0) {
+                throw new TypeError(`Option "${name}" must be a non-empty array of proxy URLs`);
+            }
+            value.forEach(parseProxy);
+            break;
+        case 'resourceTypes':
+            if (!Array.isArray(value)) {
+                throw new TypeError(`Option "${name}" must be an array of resource types`);
+            }
+            value.forEach(type => {
+                if (!RESOURCE_TYPES.includes(type)) {
+                    throw new RangeError(`Option "${name}" entries must be one of ${RESOURCE_TYPES.join(', ')}, got ${JSON.stringify(type)}`);
+                }
+            });
+            break;
+        case 'urlPatterns':
+            if (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string' || !pattern)) {
+                throw new TypeError(`Option "${name}" must be an array of non-empty URL patterns`);
+            }
+            break;
+        case 'enum':
+            if (!min.includes(value)) {
+                throw new RangeError(`Option "${name}" must be one of ${min.join(', ')}, got ${JSON.stringify(value)}`);
+            }
+            break;
+    }
+}
+
+// Validate user options and fill in defaults. Unknown options are rejected so typos don't go unnoticed.
+// The result also carries the normalized block/date `range` (or null) and the chain's `explorer`.
+export function validateOptions(options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new TypeError('Options must be an object');
+    }
+
+    Object.entries(options).forEach(([name, value]) => {
+        if (!(name in OPTION_RULES)) {
+            throw new TypeError(`Unknown option "${name}"`);
+        }
+        if (value !== undefined) checkOption(name, value);
+    });
+
+    const settings = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([name, value]) => {
+        if (value !== undefined) settings[name] = value;
+    });
+
+    if (settings.format && !settings.out) {
+        throw new TypeError('Option "format" requires "out"');
+    }
+    if (settings.backend === 'api' && !settings.apiKey) {
+        throw new TypeError('Option backend "api" requires "apiKey"');
+    }
+
+    if (settings.verify && !settings.rpcUrl) {
+        throw new TypeError('Option "verify" requires "rpcUrl"');
+    }
+
+    settings.range = normalizeRange(settings);
+    if (settings.verify && settings.range && !isBlockRange(settings.range)) {
+        throw new TypeError('Option "verify" needs a block range (fromBlock / toBlock), not a date range');
+    }
+    const explorer = resolveExplorer(settings.chain);
+    settings.explorer = settings.explorerUrl ? withBaseUrl(explorer, settings.explorerUrl) : explorer;
+    return settings;
+}
+
+export function isValidAddress(address) {
+    return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address);
+}
+
+// EIP-55 mixed-case checksum form of an address
+export function toChecksumAddress(address) {
+    const lower = address.slice(2).toLowerCase();
+    const hash = keccak256(lower);
+    return '0x' + Array.from(lower, (char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('');
+}
+
+// All-lowercase and all-uppercase addresses carry no checksum; mixed-case ones must match theirs
+export function hasValidChecksum(address) {
+    if (!isValidAddress(address)) return false;
+
+    const body = address.slice(2);
+    if (body === body.toLowerCase() || body === body.toUpperCase()) return true;
+    return toChecksumAddress(address) === address;
+}
@@ -0,0 +1,45 @@
+// Request pacing and retry backoff shared by the window pool, the API client and the RPC client.
+
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Delay before retry `attempt` (1-based): 1 s, 2 s, 4 s... up to 10 s
+export function backoffDelay(attempt) {
+    return Math.min(1000 * 2 ** (attempt - 1), 10000);
+}
+
+// Spaces requests apart. Each caller reserves the next start time synchronously, so concurrent
+// callers queue up behind each other instead of all going out at once.
+export class RequestPacer {
+    constructor() {
+        this.nextRequestAt = 0;
+    }
+
+    // Sleep until the next slot comes up: at least interval ms after the previous one, and not
+    // before notBefore (a timestamp, e.g. the end of a window's cooldown)
+    async waitForTurn(interval, notBefore = 0) {
+        const now = Date.now();
+        const startAt = Math.max(now, notBefore, this.nextRequestAt);
+        this.nextRequestAt = startAt + interval;
+
+        if (startAt > now) await sleep(startAt - now);
+    }
+}
+
+// Call attempt(n) until it resolves, at most maxRetries times, with backoffDelay() in between.
+// toError maps a failure to the error thrown; isRetryable(mapped, original) decides whether another
+// attempt is worth it; onRetry(attempt, message) is told before each wait.
+export async function withRetries(attempt, { maxRetries, toError = error => error, isRetryable, onRetry = () => { } }) {
+    for (let n = 1; ; n++) {
+        try {
+            return await attempt(n);
+        } catch (error) {
+            const failure = toError(error);
+            if (!isRetryable(failure, error) || n >= maxRetries) throw failure;
+
+            onRetry(n, failure.message);
+            await sleep(backoffDelay(n));
+        }
+    }
+}
@@ -0,0 +1,133 @@
+// Classifies a loaded advanced-filter page from its HTTP status and document structure, instead of
+// searching the whole body for words like "blocked" (which legitimately appear in token names and rows).
+
+export const PAGE_TYPES = {
+    RESULTS: 'results', // Results table with transaction rows
+    EMPTY: 'empty', // Valid page, no matching transactions
+    CLOUDFLARE: 'cloudflare', // Cloudflare challenge / interstitial
+    RATE_LIMIT: 'rate-limit', // Etherscan or HTTP 429 rate limiting
+    BLOCKED: 'blocked', // Access denied without a challenge
+    MAINTENANCE: 'maintenance', // Maintenance or server error page
+    TIMEOUT: 'timeout', // Load timed out or was aborted
+    ERROR: 'error', // Navigation or extraction failure
+    UNKNOWN: 'unknown' // Anything else, e.g. a truncated document
+};
+
+// How scrapePageSafe reacts to each type: whether to retry, and the backoff per attempt (ms)
+export const RETRY_POLICY = {
+    [PAGE_TYPES.RESULTS]: { retry: false },
+    [PAGE_TYPES.EMPTY]: { retry: false },
+    [PAGE_TYPES.CLOUDFLARE]: { retry: true, challenge: true, delay: 1000, maxDelay: 3000 },
+    [PAGE_TYPES.RATE_LIMIT]: { retry: true, delay: 3000, maxDelay: 15000 },
+    [PAGE_TYPES.BLOCKED]: { retry: true, delay: 2000, maxDelay: 10000 },
+    [PAGE_TYPES.MAINTENANCE]: { retry: true, delay: 5000, maxDelay: 30000 },
+    [PAGE_TYPES.TIMEOUT]: { retry: true, delay: 1000, maxDelay: 3000 },
+    [PAGE_TYPES.ERROR]: { retry: true, delay: 300, maxDelay: 1000 },
+    [PAGE_TYPES.UNKNOWN]: { retry: true, delay: 500, maxDelay: 2000 }
+};
+
+// Types that mean the explorer is refusing us, reported as 'blocked' events
+export const BLOCKING_TYPES = [PAGE_TYPES.CLOUDFLARE, PAGE_TYPES.RATE_LIMIT, PAGE_TYPES.BLOCKED];
+
+const TX_LINK_REGEX = /href="[^"]*\/tx\/0x[a-fA-F0-9]{64}"/;
+
+// Markers only Cloudflare's challenge and error pages carry
+const CLOUDFLARE_MARKERS = [
+    /id="challenge-form"/i,
+    /id="challenge-stage"/i,
+    /id="challenge-error-text"/i,
+    /class="[^"]*cf-turnstile/i,
+    /id="cf-wrapper"/i,
+    /id="cf-error-details"/i,
+    /window\._cf_chl_opt/
+];
+const CLOUDFLARE_TITLES = /just a moment|attention required|checking your browser/i;
+
+const RATE_LIMIT_TEXT = /rate limit|too many requests/i;
+const MAINTENANCE_TEXT = /maintenance|temporarily unavailable|service unavailable/i;
+const BLOCKED_TEXT = /access denied|forbidden/i;
+const EMPTY_TEXT = /no (matching )?(entries|records|transactions|results)( found)?/i;
+
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Page title and top-level headings: where error pages state what they are
+function headline(htmlContent) {
+    const parts = [];
+    const title = htmlContent.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    if (title) parts.push(stripTags(title[1]));
+
+    const headingRegex = /<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/gi;
+    let match;
+    while ((match = headingRegex.exec(htmlContent)) !== null && parts.length < 5) {
+        parts.push(stripTags(match[1]));
+    }
+    return parts.join(' | ');
+}
+
+function findTables(htmlContent) {
+    return htmlContent.match(/<table[\s>][\s\S]*?<\/table>/gi) || [];
+}
+
+function result(type, reason) {
+    return { type, reason };
+}
+
+// Classify a page. status is the HTTP status of the main document when known.
+export function classifyPage(htmlContent, status = null) {
+    if (!htmlContent || htmlContent.length < 500) {
+        return result(PAGE_TYPES.UNKNOWN, `insufficient content (${htmlContent?.length || 0} chars)`);
+    }
+
+    const tables = findTables(htmlContent);
+    const resultsTable = tables.find(table => TX_LINK_REGEX.test(table));
+
+    // A results table is authoritative as long as the server did not report an error
+    if (resultsTable && (!status || status < 400)) {
+        return result(PAGE_TYPES.RESULTS, 'results table');
+    }
+
+    // Likewise the explorer's "no entries" placeholder in a results table: checked before the title
+    // heuristics, which a token named e.g. "Maintenance Token" would trip on an empty page
+    const emptyTable = tables.find(table => {
+        const tbody = table.match(/<tbody[\s>][\s\S]*?<\/tbody>/i);
+        return tbody && EMPTY_TEXT.test(stripTags(tbody[0]));
+    });
+    if (emptyTable && (!status || status < 400)) {
+        return result(PAGE_TYPES.EMPTY, 'no matching entries');
+    }
+
+    const title = headline(htmlContent);
+
+    if (CLOUDFLARE_MARKERS.some(marker => marker.test(htmlContent)) || CLOUDFLARE_TITLES.test(title)) {
+        return result(PAGE_TYPES.CLOUDFLARE, `challenge page${status ? ` (HTTP ${status})` : ''}`);
+    }
+
+    if (status === 429 || RATE_LIMIT_TEXT.test(title)) {
+        return result(PAGE_TYPES.RATE_LIMIT, status === 429 ? 'HTTP 429' : title);
+    }
+
+    if (status === 403 || BLOCKED_TEXT.test(title)) {
+        return result(PAGE_TYPES.BLOCKED, status === 403 ? 'HTTP 403' : title);
+    }
+
+    if ((status && status >= 500) || MAINTENANCE_TEXT.test(title)) {
+        return result(PAGE_TYPES.MAINTENANCE, status && status >= 500 ? `HTTP ${status}` : title);
+    }
+
+    if (status && status >= 400) {
+        return result(PAGE_TYPES.ERROR, `HTTP ${status}`);
+    }
+
+    return result(PAGE_TYPES.UNKNOWN, 'no results table');
+}
+
+// Classify a load/extraction failure that never produced a document
+export function classifyError(error) {
+    const message = error?.message || 'Unknown error';
+    if (/timeout|ERR_ABORTED|ERR_TIMED_OUT/i.test(message)) {
+        return result(PAGE_TYPES.TIMEOUT, message);
+    }
+    return result(PAGE_TYPES.ERROR, message);
+}
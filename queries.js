@@ -0,0 +1,78 @@
+// Declarative advanced-filter query definitions.
+// A query names a scrape target and maps an address to the URL parameters that select its rows;
+// BaseScrapper takes care of paging, windows, retries and parsing.
+
+import { rangeParams } from './ranges.js';
+import { EXPLORERS, DEFAULT_CHAIN, advancedFilterUrl } from './explorers.js';
+
+export const PAGE_SIZE = 100;
+
+// Page limit of an explorer; Etherscan only pages through the first 10,000 rows of a result set
+export function maxPages(explorer = EXPLORERS[DEFAULT_CHAIN]) {
+    return Math.floor(explorer.maxResultRows / PAGE_SIZE);
+}
+
+export const QUERIES = {
+    // ERC-20 transfers of a token
+    external: {
+        name: 'external',
+        params: address => ({ tkn: address, txntype: 2 })
+    },
+    // Transactions from or to an address
+    internal: {
+        name: 'internal',
+        params: address => ({ fadd: address, tadd: address })
+    },
+    // ERC-721 transfers of a collection
+    erc721: {
+        name: 'erc721',
+        params: address => ({ tkn: address, txntype: 3 })
+    },
+    // ERC-1155 transfers of a collection
+    erc1155: {
+        name: 'erc1155',
+        params: address => ({ tkn: address, txntype: 4 })
+    },
+    // Transactions sent to an address only
+    incoming: {
+        name: 'incoming',
+        params: address => ({ tadd: address })
+    },
+    // Transactions sent from an address only
+    outgoing: {
+        name: 'outgoing',
+        params: address => ({ fadd: address })
+    }
+};
+
+// Transactions to an address that call a single method, e.g. methodQuery('0xa9059cbb')
+export function methodQuery(selector) {
+    if (!/^0x[a-fA-F0-9]{8}$/.test(selector)) {
+        throw new Error(`Invalid method selector: ${selector}`);
+    }
+
+    return {
+        name: `method-${selector.toLowerCase()}`,
+        params: address => ({ tadd: address, mtd: selector.toLowerCase() })
+    };
+}
+
+export function validateQuery(query) {
+    if (!query || typeof query.name !== 'string' || !query.name) {
+        throw new Error('Query must have a non-empty name');
+    }
+    if (typeof query.params !== 'function') {
+        throw new Error(`Query "${query.name}" must define params(address)`);
+    }
+    return query;
+}
+
+export function buildQueryUrl(query, address, page, range = null, explorer = EXPLORERS[DEFAULT_CHAIN]) {
+    const params = new URLSearchParams();
+    Object.entries({ ...query.params(address), ...rangeParams(range) }).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) params.set(key, String(value));
+    });
+    params.set('ps', String(PAGE_SIZE));
+    params.set('p', String(page));
+    return `${advancedFilterUrl(explorer)}?${params.toString()}`;
+}
@@ -0,0 +1,133 @@
+// Block and date ranges for advanced-filter queries.
+// A range is either { fromBlock, toBlock } or { fromDate, toDate } (dates as 'YYYY-MM-DD'); either bound may be open.
+
+// Advanced-filter URL parameters; both take "from~to"
+const RANGE_PARAMS = {
+    block: 'blk',
+    date: 'age'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day of the Ethereum genesis block; no explorer has transactions before it
+const EARLIEST_DATE = '2015-07-30';
+
+function toDateString(value, name) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function toBlockNumber(value, name) {
+    const block = Number(value);
+    if (!Number.isInteger(block) || block < 0) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return block;
+}
+
+// Build a range from runScraper options; returns null when no bound is given
+export function normalizeRange({ fromBlock, toBlock, fromDate, toDate } = {}) {
+    const hasBlocks = fromBlock != null || toBlock != null;
+    const hasDates = fromDate != null || toDate != null;
+
+    if (hasBlocks && hasDates) {
+        throw new Error('Use either a block range or a date range, not both');
+    }
+
+    if (hasBlocks) {
+        const range = {
+            fromBlock: fromBlock != null ? toBlockNumber(fromBlock, 'fromBlock') : null,
+            toBlock: toBlock != null ? toBlockNumber(toBlock, 'toBlock') : null
+        };
+        if (range.fromBlock != null && range.toBlock != null && range.fromBlock > range.toBlock) {
+            throw new Error(`fromBlock (${range.fromBlock}) is after toBlock (${range.toBlock})`);
+        }
+        return range;
+    }
+
+    if (hasDates) {
+        const range = {
+            fromDate: fromDate != null ? toDateString(fromDate, 'fromDate') : null,
+            toDate: toDate != null ? toDateString(toDate, 'toDate') : null
+        };
+        if (range.fromDate && range.toDate && range.fromDate > range.toDate) {
+            throw new Error(`fromDate (${range.fromDate}) is after toDate (${range.toDate})`);
+        }
+        return range;
+    }
+
+    return null;
+}
+
+export function isBlockRange(range) {
+    return Boolean(range) && ('fromBlock' in range || 'toBlock' in range);
+}
+
+export function rangeParams(range) {
+    if (!range) return {};
+
+    if (isBlockRange(range)) {
+        return { [RANGE_PARAMS.block]: `${range.fromBlock ?? ''}~${range.toBlock ?? ''}` };
+    }
+    return { [RANGE_PARAMS.date]: `${range.fromDate ?? ''}~${range.toDate ?? ''}` };
+}
+
+// Stable identifier used in checkpoint file names
+export function rangeKey(range) {
+    if (!range) return null;
+
+    return isBlockRange(range)
+        ? `b${range.fromBlock ?? ''}-${range.toBlock ?? ''}`
+        : `d${range.fromDate ?? ''}-${range.toDate ?? ''}`;
+}
+
+export function describeRange(range) {
+    if (!range) return 'full history';
+
+    return isBlockRange(range)
+        ? `blocks ${range.fromBlock ?? 'start'}..${range.toBlock ?? 'latest'}`
+        : `dates ${range.fromDate ?? 'start'}..${range.toDate ?? 'today'}`;
+}
+
+// Close the open bounds of a range so it can be split. No range means every block. Open block bounds
+// become block 0 and newestBlock (the newest block in the results, null if unknown); open dates
+// become the genesis day and today.
+export function closeRange(range, newestBlock = null) {
+    if (!range || isBlockRange(range)) {
+        return { fromBlock: range?.fromBlock ?? 0, toBlock: range?.toBlock ?? newestBlock };
+    }
+    return {
+        fromDate: range.fromDate ?? EARLIEST_DATE,
+        toDate: range.toDate ?? new Date().toISOString().slice(0, 10)
+    };
+}
+
+// Split a closed range into two halves; returns null when it has open bounds or is a single block/day
+export function splitRange(range) {
+    if (!range) return null;
+
+    if (isBlockRange(range)) {
+        const { fromBlock, toBlock } = range;
+        if (fromBlock == null || toBlock == null || fromBlock >= toBlock) return null;
+
+        const middle = Math.floor((fromBlock + toBlock) / 2);
+        return [
+            { fromBlock, toBlock: middle },
+            { fromBlock: middle + 1, toBlock }
+        ];
+    }
+
+    const { fromDate, toDate } = range;
+    if (!fromDate || !toDate || fromDate >= toDate) return null;
+
+    const fromTime = Date.parse(`${fromDate}T00:00:00Z`);
+    const days = Math.round((Date.parse(`${toDate}T00:00:00Z`) - fromTime) / DAY_MS);
+    const middle = new Date(fromTime + Math.floor(days / 2) * DAY_MS);
+    return [
+        { fromDate, toDate: middle.toISOString().slice(0, 10) },
+        { fromDate: new Date(middle.getTime() + DAY_MS).toISOString().slice(0, 10), toDate }
+    ];
+}
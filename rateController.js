@@ -0,0 +1,108 @@
+import { PAGE_TYPES, BLOCKING_TYPES } from './pageClassifier.js';
+
+// AIMD pacing for the window pool: every page that loads raises the request rate a little, every
+// block or timeout cuts it (and, for blocks, the number of active windows) by a factor. This finds
+// the fastest pace the explorer tolerates and backs off as soon as it starts refusing us.
+
+export const RATE_OUTCOMES = {
+    SUCCESS: 'success', // Results or empty page
+    BLOCKED: 'blocked', // Cloudflare, rate limit or access denied
+    TIMEOUT: 'timeout', // Load timeout or overloaded server
+    NEUTRAL: 'neutral' // Failures that say nothing about our pace
+};
+
+const OUTCOMES_BY_TYPE = {
+    [PAGE_TYPES.RESULTS]: RATE_OUTCOMES.SUCCESS,
+    [PAGE_TYPES.EMPTY]: RATE_OUTCOMES.SUCCESS,
+    [PAGE_TYPES.TIMEOUT]: RATE_OUTCOMES.TIMEOUT,
+    [PAGE_TYPES.MAINTENANCE]: RATE_OUTCOMES.TIMEOUT,
+    ...Object.fromEntries(BLOCKING_TYPES.map(type => [type, RATE_OUTCOMES.BLOCKED]))
+};
+
+// What a page classification type says about the pace
+export function rateOutcome(pageType) {
+    return OUTCOMES_BY_TYPE[pageType] || RATE_OUTCOMES.NEUTRAL;
+}
+
+const MAX_RATE = 50; // req/s ceiling when minRequestInterval is 0
+const MIN_RATE = 0.2; // One request every 5 s at the slowest
+const RATE_STEP = 0.1; // req/s added per successful page
+const BLOCKED_FACTOR = 0.5;
+const TIMEOUT_FACTOR = 0.75;
+const DECREASE_HOLD = 2000; // ms after a cut in which further failures don't cut again
+
+export class RateController {
+    constructor(options = {}) {
+        const { maxWindows = 10, minRequestInterval = 100, adaptive = true } = options;
+
+        this.adaptive = adaptive;
+        this.minInterval = minRequestInterval;
+        this.maxRate = minRequestInterval > 0 ? 1000 / minRequestInterval : MAX_RATE;
+        this.maxWindows = maxWindows;
+
+        // Start at the configured pace and only slow down once the explorer pushes back
+        this.rate = this.maxRate;
+        this.windows = maxWindows;
+        this.successStreak = 0; // Successes since the window count last changed
+        this.holdUntil = 0;
+        this.counts = { success: 0, blocked: 0, timeout: 0 };
+    }
+
+    // ms between two requests at the current rate
+    get interval() {
+        return this.rate >= this.maxRate ? this.minInterval : Math.round(1000 / this.rate);
+    }
+
+    // Record the outcome of a page load by its classification type
+    record(pageType) {
+        const outcome = rateOutcome(pageType);
+        if (outcome === RATE_OUTCOMES.NEUTRAL) return;
+        this.counts[outcome]++;
+        if (!this.adaptive) return;
+
+        if (outcome === RATE_OUTCOMES.SUCCESS) {
+            this.increase();
+        } else {
+            this.decrease(outcome, pageType);
+        }
+    }
+
+    increase() {
+        this.rate = Math.min(this.maxRate, this.rate + RATE_STEP);
+
+        // One more window after a full round of successes at the current count
+        this.successStreak++;
+        if (this.windows < this.maxWindows && this.successStreak >= this.windows) {
+            this.windows++;
+            this.successStreak = 0;
+        }
+    }
+
+    decrease(outcome, pageType) {
+        // Pages that were already in flight report the same block; count it once
+        const now = Date.now();
+        if (now < this.holdUntil) return;
+        this.holdUntil = now + DECREASE_HOLD;
+
+        this.successStreak = 0;
+        if (outcome === RATE_OUTCOMES.BLOCKED) {
+            this.rate = Math.max(MIN_RATE, this.rate * BLOCKED_FACTOR);
+            this.windows = Math.max(1, Math.floor(this.windows * BLOCKED_FACTOR));
+        } else {
+            this.rate = Math.max(MIN_RATE, this.rate * TIMEOUT_FACTOR);
+        }
+
+        const { requestsPerSecond, windows } = this.snapshot();
+        console.warn(`⏬ ${pageType}: slowing down to ${requestsPerSecond} req/s with ${windows} windows`);
+    }
+
+    // Current pace, reported in progress events (requestsPerSecond is null while unthrottled)
+    snapshot() {
+        return {
+            requestsPerSecond: this.interval > 0 ? Math.round(this.rate * 100) / 100 : null,
+            windows: this.windows,
+            interval: this.interval,
+            ...this.counts
+        };
+    }
+}
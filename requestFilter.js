@@ -0,0 +1,97 @@
+// Blocks requests scraper windows don't need (images, fonts, analytics, ads) on the window sessions.
+// Only the advanced-filter document matters to the scraper, so everything else is bandwidth and
+// requests the explorer may count against us. Cloudflare's challenge resources are never blocked.
+
+// Electron webRequest resource types that can be blocked; main frames (the pages themselves) cannot
+export const RESOURCE_TYPES = ['subFrame', 'stylesheet', 'script', 'image', 'font', 'object', 'xhr', 'ping', 'cspReport', 'media', 'webSocket', 'other'];
+
+export const DEFAULT_BLOCKED_TYPES = ['image', 'font', 'media', 'object', 'ping', 'cspReport'];
+
+// Analytics, tag managers and ad networks seen on Etherscan-family explorers. '*' matches anything;
+// a pattern matches anywhere in the URL.
+export const DEFAULT_BLOCKED_URLS = [
+    'google-analytics.com',
+    'googletagmanager.com',
+    'googlesyndication.com',
+    'googleadservices.com',
+    'doubleclick.net',
+    'adservice.google.',
+    'static.cloudflareinsights.com',
+    'hotjar.com',
+    'connect.facebook.net',
+    'coinzilla.',
+    'cointraffic.io',
+    'bitmedia.io',
+    'a-ads.com'
+];
+
+// Never blocked, whatever the patterns say: the challenge has to load for a clearance
+const ALWAYS_ALLOWED = [/^https?:\/\/challenges\.cloudflare\.com\//, /\/cdn-cgi\/challenge-platform\//];
+
+// Typical transfer sizes per resource type, to estimate what blocking saved
+const TYPICAL_BYTES = {
+    subFrame: 30000,
+    stylesheet: 20000,
+    script: 40000,
+    image: 15000,
+    font: 40000,
+    object: 50000,
+    xhr: 2000,
+    media: 200000,
+    other: 5000
+};
+
+function patternRegex(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*');
+    return new RegExp(escaped, 'i');
+}
+
+export class RequestFilter {
+    constructor(options = {}) {
+        const { blockedTypes = DEFAULT_BLOCKED_TYPES, blockedUrls = DEFAULT_BLOCKED_URLS } = options;
+        this.blockedTypes = new Set(blockedTypes);
+        this.blockedUrls = blockedUrls.map(patternRegex);
+        this.stats = { blocked: 0, allowed: 0, blockedByType: {}, bytesSaved: 0 };
+    }
+
+    // Whether a webRequest onBeforeRequest request (url, resourceType) is blocked
+    shouldBlock({ url, resourceType }) {
+        if (resourceType === 'mainFrame' || ALWAYS_ALLOWED.some(regex => regex.test(url))) return false;
+        return this.blockedTypes.has(resourceType) || this.blockedUrls.some(regex => regex.test(url));
+    }
+
+    // shouldBlock, counted in the stats
+    check(details) {
+        const blocked = this.shouldBlock(details);
+        if (blocked) {
+            const type = details.resourceType || 'other';
+            this.stats.blocked++;
+            this.stats.blockedByType[type] = (this.stats.blockedByType[type] || 0) + 1;
+            this.stats.bytesSaved += TYPICAL_BYTES[type] ?? TYPICAL_BYTES.other;
+        } else {
+            this.stats.allowed++;
+        }
+        return blocked;
+    }
+
+    // Requests blocked and allowed so far, and the estimated bytes that were not downloaded
+    snapshot() {
+        return { ...this.stats, blockedByType: { ...this.stats.blockedByType } };
+    }
+
+    // Stats since an earlier snapshot, e.g. of one address of a batch
+    since(previous) {
+        const current = this.snapshot();
+        const blockedByType = {};
+        Object.entries(current.blockedByType).forEach(([type, count]) => {
+            const delta = count - (previous.blockedByType[type] || 0);
+            if (delta > 0) blockedByType[type] = delta;
+        });
+        return {
+            blocked: current.blocked - previous.blocked,
+            allowed: current.allowed - previous.allowed,
+            blockedByType,
+            bytesSaved: current.bytesSaved - previous.bytesSaved
+        };
+    }
+}
@@ -0,0 +1,187 @@
+// Structured row parser for Etherscan advanced-filter result tables.
+// Works on the raw HTML string returned by the scrapers, so it runs in Node without a DOM.
+
+// Header text -> row field. Each field is assigned to the first header that matches it.
+const COLUMN_MATCHERS = [
+    ['hash', /(txn|transaction|parent)\s*hash/i],
+    ['fee', /fee/i],
+    ['method', /method|action/i],
+    ['block', /^block/i],
+    ['age', /^(age|date|time)/i],
+    ['from', /^from/i],
+    ['token', /^token/i],
+    ['to', /^to\b/i],
+    ['value', /^(amount|value|quantity)/i]
+];
+
+const HASH_REGEX = /\/tx\/(0x[a-fA-F0-9]{64})/;
+const ADDRESS_REGEX = /(?:\/address\/|[?&]a=|data-highlight-target=")(0x[a-fA-F0-9]{40})/i;
+const TOKEN_ADDRESS_REGEX = /\/token\/(0x[a-fA-F0-9]{40})/i;
+const BLOCK_REGEX = /\/block\/(\d+)/;
+const DATE_REGEX = /(\d{4}-\d{2}-\d{2})\s+(\d{1,2}:\d{2}:\d{2})/;
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&#x27;': "'",
+    '&nbsp;': ' '
+};
+
+function decodeEntities(text) {
+    return text
+        .replace(/&(amp|lt|gt|quot|nbsp|#39|#x27);/g, entity => ENTITIES[entity])
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+function cellText(cellHtml) {
+    return decodeEntities(cellHtml.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function extractBlocks(html, tag) {
+    const regex = new RegExp(`<${tag}[\\s>][\\s\\S]*?<\\/${tag}>`, 'gi');
+    return html.match(regex) || [];
+}
+
+function extractCells(rowHtml, tag) {
+    const regex = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, 'gi');
+    const cells = [];
+    let match;
+    while ((match = regex.exec(rowHtml)) !== null) {
+        cells.push(match[1]);
+    }
+    return cells;
+}
+
+// Find the results table: the first <table> that links to at least one transaction
+function findResultsTable(htmlContent) {
+    return extractBlocks(htmlContent, 'table').find(table => HASH_REGEX.test(table)) || null;
+}
+
+function mapColumns(tableHtml) {
+    const thead = extractBlocks(tableHtml, 'thead')[0];
+    if (!thead) return [];
+
+    const used = new Set();
+    return extractCells(thead, 'th').map(headerHtml => {
+        const text = cellText(headerHtml);
+        if (!text) return null;
+
+        const matcher = COLUMN_MATCHERS.find(([field, regex]) => !used.has(field) && regex.test(text));
+        if (!matcher) return null;
+
+        used.add(matcher[0]);
+        return matcher[0];
+    });
+}
+
+function parseTimestamp(cellHtml) {
+    const match = cellHtml.match(DATE_REGEX);
+    return match ? `${match[1]}T${match[2].padStart(8, '0')}Z` : null;
+}
+
+function parseRow(rowHtml, columns) {
+    const hashMatch = rowHtml.match(HASH_REGEX);
+    if (!hashMatch) return null;
+
+    const row = {
+        hash: hashMatch[1],
+        method: null,
+        block: null,
+        age: null,
+        timestamp: null,
+        from: null,
+        to: null,
+        value: null,
+        token: null,
+        tokenAddress: null,
+        fee: null
+    };
+
+    extractCells(rowHtml, 'td').forEach((cellHtml, index) => {
+        const field = columns[index];
+        if (!field) return;
+
+        const text = cellText(cellHtml);
+
+        switch (field) {
+            case 'block': {
+                const blockMatch = cellHtml.match(BLOCK_REGEX) || text.match(/(\d+)/);
+                row.block = blockMatch ? parseInt(blockMatch[1], 10) : null;
+                break;
+            }
+            case 'age':
+                row.timestamp = parseTimestamp(cellHtml);
+                row.age = text.replace(DATE_REGEX, '').trim() || text || null;
+                break;
+            case 'from':
+            case 'to': {
+                const addressMatch = cellHtml.match(ADDRESS_REGEX) || text.match(/(0x[a-fA-F0-9]{40})/);
+                row[field] = addressMatch ? addressMatch[1] : (text || null);
+                break;
+            }
+            case 'token': {
+                const tokenMatch = cellHtml.match(TOKEN_ADDRESS_REGEX);
+                row.token = text || null;
+                row.tokenAddress = tokenMatch ? tokenMatch[1] : null;
+                break;
+            }
+            case 'hash':
+                break;
+            default:
+                row[field] = text || null;
+        }
+    });
+
+    return row;
+}
+
+// Parse every result row of an advanced-filter page into a plain object.
+// Rows without a transaction link (headers, "no records" placeholders) are skipped.
+export function parseRows(htmlContent) {
+    if (!htmlContent) return [];
+
+    const table = findResultsTable(htmlContent);
+    if (!table) return [];
+
+    const columns = mapColumns(table);
+    const tbody = extractBlocks(table, 'tbody')[0] || table;
+
+    return extractBlocks(tbody, 'tr')
+        .map(rowHtml => parseRow(rowHtml, columns))
+        .filter(Boolean);
+}
+
+const PAGINATION_REGEX = /class="[^"]*page-link[^"]*"[^>]*>\s*Page\s+([\d,]+)\s+of\s+([\d,]+)\s*</i;
+const PAGE_LINK_REGEX = /class="[^"]*page-link[^"]*"[^>]*href="[^"]*[?&;]p=(\d+)|href="[^"]*[?&;]p=(\d+)[^"]*"[^>]*class="[^"]*page-link/gi;
+const TOTAL_ROWS_REGEX = /total of\s+(more than\s+|over\s+|>\s*)?([\d,]+)(\+)?\s+(transactions|txns|records|entries)/i;
+
+function toNumber(text) {
+    return parseInt(text.replace(/,/g, ''), 10);
+}
+
+// Result size shown on an advanced-filter page: { pages, rows, rowsCapped }. pages comes from the
+// "Page X of Y" pagination (else the highest page link), rows from "A total of N transactions found";
+// either is null when the page does not show it. rowsCapped is set when the total reads "more than N".
+export function parseResultSize(htmlContent) {
+    if (!htmlContent) return { pages: null, rows: null, rowsCapped: false };
+
+    let pages = null;
+    const pagination = htmlContent.match(PAGINATION_REGEX);
+    if (pagination) {
+        pages = toNumber(pagination[2]);
+    } else {
+        for (const match of htmlContent.matchAll(PAGE_LINK_REGEX)) {
+            pages = Math.max(pages ?? 0, toNumber(match[1] || match[2]));
+        }
+    }
+
+    const total = cellText(htmlContent.replace(/<script[\s\S]*?<\/script>/gi, '')).match(TOTAL_ROWS_REGEX);
+    return {
+        pages,
+        rows: total ? toNumber(total[2]) : null,
+        rowsCapped: Boolean(total && (total[1] || total[3]))
+    };
+}
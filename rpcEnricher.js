@@ -0,0 +1,284 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withRetries } from './pacing.js';
+import { JsonLinesFile } from './jsonLines.js';
+
+// Enriches scraped hashes over JSON-RPC: eth_getTransactionByHash and eth_getTransactionReceipt for
+// every hash, sent as JSON-RPC batches with a cap on concurrent requests. Mined transactions never
+// change, so their records are cached on disk and later runs only ask the node for new hashes.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_RPC_CACHE_DIR = path.join(__dirname, 'rpc-cache');
+
+// keccak256('Transfer(address,address,uint256)'); ERC-20 transfers index from and to, ERC-721 also the token id
+export const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// JSON-RPC error codes and messages nodes answer when we send too much
+const RATE_LIMIT_CODES = [-32005, 429];
+const RATE_LIMIT_TEXT = /rate limit|too many requests|limit exceeded/i;
+
+// Messages nodes answer when an eth_getLogs query matches too many logs. Some send them with -32005
+// too; a smaller block range is the fix there, not a retry.
+export const TOO_MANY_RESULTS = /query returned more than \d+ results|log response size exceeded|block range is too (large|wide)|exceed maximum block range/i;
+
+function isRateLimit(code, message) {
+    return !TOO_MANY_RESULTS.test(message) && (RATE_LIMIT_CODES.includes(code) || RATE_LIMIT_TEXT.test(message));
+}
+
+// A batch request failed, or the node answered a call with an error
+export class RpcError extends Error {
+    constructor(message, { code = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+function hexToNumber(value) {
+    return value === undefined || value === null ? null : Number(BigInt(value));
+}
+
+// Wei amounts stay exact as decimal strings
+function hexToDecimal(value) {
+    if (value === undefined || value === null) return null;
+    return value === '0x' ? '0' : BigInt(value).toString();
+}
+
+function topicToAddress(topic) {
+    return '0x' + topic.slice(-40).toLowerCase();
+}
+
+export function decodeTransaction(tx) {
+    return {
+        hash: tx.hash,
+        blockNumber: hexToNumber(tx.blockNumber), // null while pending
+        from: tx.from?.toLowerCase() ?? null,
+        to: tx.to?.toLowerCase() ?? null, // null for contract creations
+        value: hexToDecimal(tx.value),
+        nonce: hexToNumber(tx.nonce),
+        gasPrice: hexToDecimal(tx.gasPrice),
+        methodId: tx.input && tx.input.length >= 10 ? tx.input.slice(0, 10) : null,
+        type: hexToNumber(tx.type)
+    };
+}
+
+// ERC-20 Transfer(from, to, value) logs; ERC-721 transfers have a fourth topic and are left out
+export function decodeTransfers(logs) {
+    return logs
+        .filter(log => log.topics?.length === 3 && log.topics[0].toLowerCase() === TRANSFER_TOPIC)
+        .map(log => ({
+            token: log.address.toLowerCase(),
+            from: topicToAddress(log.topics[1]),
+            to: topicToAddress(log.topics[2]),
+            value: hexToDecimal(log.data),
+            logIndex: hexToNumber(log.logIndex)
+        }));
+}
+
+export function decodeReceipt(receipt) {
+    const gasUsed = hexToDecimal(receipt.gasUsed);
+    const effectiveGasPrice = hexToDecimal(receipt.effectiveGasPrice);
+    const logs = receipt.logs || [];
+
+    return {
+        // Receipts before Byzantium have a state root instead of a status
+        status: receipt.status === undefined || receipt.status === null ? null : (Number(receipt.status) === 1 ? 'success' : 'reverted'),
+        blockNumber: hexToNumber(receipt.blockNumber),
+        gasUsed: gasUsed === null ? null : Number(gasUsed),
+        effectiveGasPrice,
+        fee: gasUsed !== null && effectiveGasPrice !== null ? (BigInt(gasUsed) * BigInt(effectiveGasPrice)).toString() : null,
+        contractAddress: receipt.contractAddress?.toLowerCase() ?? null,
+        logs: logs.map(log => ({
+            address: log.address.toLowerCase(),
+            topics: log.topics,
+            data: log.data,
+            logIndex: hexToNumber(log.logIndex)
+        })),
+        transfers: decodeTransfers(logs)
+    };
+}
+
+// JSON-RPC over HTTP. Calls go out in batches; at most `concurrency` batch requests are in flight.
+export class RpcClient {
+    constructor(options = {}) {
+        this.url = options.url;
+        this.concurrency = options.concurrency ?? 4;
+        this.timeout = options.timeout ?? 15000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.active = 0;
+        this.waiting = []; // Resolvers of batches waiting for a free request slot
+    }
+
+    async acquire() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next(); // The slot passes straight to the next batch
+        } else {
+            this.active--;
+        }
+    }
+
+    // Send [{ method, params }] as one batch; resolves to their results in order, with an RpcError in
+    // place of each call the node answered with an error. Failed or rate-limited requests are retried.
+    async batch(calls, onRetry = () => { }) {
+        await this.acquire();
+        try {
+            return await withRetries(() => this.fetchBatch(calls), {
+                maxRetries: this.maxRetries,
+                toError: error => error instanceof RpcError ? error : new RpcError(error.message, { retryable: true }),
+                isRetryable: rpcError => rpcError.retryable,
+                onRetry
+            });
+        } finally {
+            this.release();
+        }
+    }
+
+    async fetchBatch(calls) {
+        const body = calls.map(({ method, params }, index) => ({ jsonrpc: '2.0', id: index, method, params }));
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        if (response.status === 429) {
+            throw new RpcError('HTTP 429', { retryable: true });
+        }
+        if (!response.ok) {
+            throw new RpcError(`HTTP ${response.status}`, { retryable: response.status >= 500 });
+        }
+
+        const data = await response.json();
+        // A node that rejects the whole batch answers with a single error object
+        if (!Array.isArray(data)) {
+            const { code = null, message = 'Unexpected batch response' } = data?.error || {};
+            throw new RpcError(message, { code, retryable: isRateLimit(code, message) });
+        }
+
+        const byId = new Map(data.map(entry => [entry.id, entry]));
+        const results = calls.map((call, index) => {
+            const entry = byId.get(index);
+            if (!entry) return new RpcError(`No answer to ${call.method}`);
+            if (entry.error) return new RpcError(entry.error.message, { code: entry.error.code });
+            return entry.result;
+        });
+
+        // Calls refused for the rate limit are worth a retry of the batch
+        if (results.some(result => result instanceof RpcError && isRateLimit(result.code, result.message))) {
+            throw new RpcError('Rate limited', { retryable: true });
+        }
+        return results;
+    }
+}
+
+// Records of mined transactions by hash, kept in an append-only JSON lines file
+export class RpcCache {
+    constructor(cacheDir = DEFAULT_RPC_CACHE_DIR) {
+        this.cacheDir = cacheDir;
+        this.file = path.join(cacheDir, 'transactions.jsonl');
+        this.jsonLines = new JsonLinesFile(this.file, 'RPC cache');
+        this.records = new Map();
+    }
+
+    load() {
+        this.jsonLines.read()
+            .filter(record => record.transaction?.hash)
+            .forEach(record => this.records.set(record.transaction.hash.toLowerCase(), record));
+        return this;
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    get(hash) {
+        return this.records.get(hash.toLowerCase()) || null;
+    }
+
+    addAll(records) {
+        if (records.length === 0) return;
+        records.forEach(record => this.records.set(record.transaction.hash.toLowerCase(), record));
+        this.jsonLines.append(records);
+    }
+}
+
+// Fetches and decodes { transaction, receipt } for scraped hashes. batchSize is hashes per batch
+// request (two calls each); cache is an optional RpcCache.
+export class RpcEnricher {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.batchSize = options.batchSize ?? 50;
+        this.cache = options.cache ?? null;
+    }
+
+    // Resolves to { transactions: { hash: { transaction, receipt } }, missing, failed, cached, fetched }.
+    // missing: hashes the node does not know; failed: [{ hash, reason }] for calls that kept failing.
+    // Pending transactions have a null receipt and are not cached.
+    async enrich(hashes) {
+        const transactions = {};
+        const missing = [];
+        const failed = [];
+        const pending = [];
+        let cached = 0;
+
+        Array.from(new Set(hashes)).forEach(hash => {
+            const record = this.cache?.get(hash);
+            if (record) {
+                transactions[hash] = record;
+                cached++;
+            } else {
+                pending.push(hash);
+            }
+        });
+
+        const batches = [];
+        for (let start = 0; start < pending.length; start += this.batchSize) {
+            batches.push(pending.slice(start, start + this.batchSize));
+        }
+
+        let fetched = 0;
+        await Promise.all(batches.map(async batch => {
+            let results;
+            try {
+                results = await this.client.batch(batch.flatMap(hash => [
+                    { method: 'eth_getTransactionByHash', params: [hash] },
+                    { method: 'eth_getTransactionReceipt', params: [hash] }
+                ]), (attempt, reason) => console.warn(`RPC batch attempt ${attempt} failed (${reason}), retrying...`));
+            } catch (error) {
+                batch.forEach(hash => failed.push({ hash, reason: error.message }));
+                return;
+            }
+
+            const mined = [];
+            batch.forEach((hash, index) => {
+                const [tx, receipt] = [results[2 * index], results[2 * index + 1]];
+                const error = [tx, receipt].find(result => result instanceof RpcError);
+                if (error) {
+                    failed.push({ hash, reason: error.message });
+                } else if (!tx) {
+                    missing.push(hash);
+                } else {
+                    const record = { transaction: decodeTransaction(tx), receipt: receipt ? decodeReceipt(receipt) : null };
+                    transactions[hash] = record;
+                    fetched++;
+                    if (record.receipt) mined.push(record);
+                }
+            });
+            this.cache?.addAll(mined);
+        }));
+
+        return { transactions, missing, failed, cached, fetched };
+    }
+}
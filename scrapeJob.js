@@ -0,0 +1,90 @@
+import { EventEmitter } from 'events';
+
+// Events a job emits while it runs
+export const JOB_EVENTS = ['page', 'hashes', 'retry', 'blocked', 'progress', 'done'];
+
+// Extra events of a runBatch job, one set per address
+export const BATCH_EVENTS = ['address-start', 'address-done', 'address-failed'];
+
+// Handle returned by runScraper. It is an EventEmitter for streaming results, a thenable so
+// `await runScraper(...)` still yields the final result, and an async iterator over { event, data }.
+export class ScrapeJob extends EventEmitter {
+    constructor() {
+        super();
+        this.result = null;
+        this.error = null;
+        this.finished = false;
+        this.promise = null;
+    }
+
+    // Run task(job) on the next tick, so callers can attach listeners first
+    start(task) {
+        this.promise = Promise.resolve()
+            .then(() => task(this))
+            .then(result => {
+                this.result = result;
+                this.finished = true;
+                this.emit('done', result);
+                return result;
+            }, error => {
+                this.error = error;
+                this.finished = true;
+                // 'error' without listeners would throw; the promise rejection reports it either way
+                if (this.listenerCount('error') > 0) this.emit('error', error);
+                throw error;
+            });
+
+        // Callers that only listen for events should not trigger an unhandled rejection
+        this.promise.catch(() => { });
+        return this;
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this.promise.catch(onRejected);
+    }
+
+    finally(onFinally) {
+        return this.promise.finally(onFinally);
+    }
+
+    // Yields every event emitted after iteration starts; ends after 'done', throws if the job fails
+    async *events() {
+        const queue = [];
+        let notify = null;
+        let ended = false;
+
+        const listeners = [...JOB_EVENTS, ...BATCH_EVENTS].map(event => [event, data => {
+            queue.push({ event, data });
+            if (notify) notify();
+        }]);
+        listeners.forEach(([event, listener]) => this.on(event, listener));
+
+        this.promise.then(() => { }, () => { }).then(() => {
+            ended = true;
+            if (notify) notify();
+        });
+
+        try {
+            while (true) {
+                if (queue.length > 0) {
+                    yield queue.shift();
+                    continue;
+                }
+                if (ended) break;
+                await new Promise(resolve => { notify = resolve; });
+                notify = null;
+            }
+            if (this.error) throw this.error;
+        } finally {
+            listeners.forEach(([event, listener]) => this.off(event, listener));
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return this.events();
+    }
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_SEEN_DIR = path.join(__dirname, 'seen-hashes');
+
+// Hashes found by earlier complete runs, per address + transaction type.
+// Incremental runs stop paging once they reach a page containing one of them.
+export class SeenHashStore {
+    constructor(address, txnType, seenDir = DEFAULT_SEEN_DIR) {
+        this.address = address.toLowerCase();
+        this.txnType = txnType;
+        this.seenDir = seenDir;
+        this.file = path.join(seenDir, `${this.address}_${txnType}.json`);
+        this.hashes = new Set();
+        this.lastRunAt = null;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+                this.hashes = new Set(data.hashes || []);
+                this.lastRunAt = data.lastRunAt || null;
+            }
+        } catch (error) {
+            console.error(`Error loading seen hashes ${this.file}:`, error.message);
+            this.hashes = new Set();
+        }
+        return this;
+    }
+
+    get size() {
+        return this.hashes.size;
+    }
+
+    has(hash) {
+        return this.hashes.has(hash);
+    }
+
+    addAll(hashes) {
+        hashes.forEach(hash => this.hashes.add(hash));
+    }
+
+    save() {
+        try {
+            if (!fs.existsSync(this.seenDir)) fs.mkdirSync(this.seenDir, { recursive: true });
+
+            this.lastRunAt = new Date().toISOString();
+            const data = {
+                address: this.address,
+                txnType: this.txnType,
+                lastRunAt: this.lastRunAt,
+                hashes: Array.from(this.hashes)
+            };
+            const tempFile = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(data));
+            fs.renameSync(tempFile, this.file);
+        } catch (error) {
+            console.error(`Error saving seen hashes ${this.file}:`, error.message);
+        }
+    }
+}
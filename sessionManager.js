@@ -0,0 +1,212 @@
+import electron from 'electron';
+import { classifyPage, classifyError, PAGE_TYPES } from './pageClassifier.js';
+const { BrowserWindow, session } = electron;
+
+export const CLEARANCE_COOKIE = 'cf_clearance';
+
+// ms the hidden test load of ensureClearance() may take
+const PROBE_TIMEOUT = 30000;
+
+// Tracks the Cloudflare clearance of the Electron session the scraper windows use, and opens
+// the interactive challenge window when it is missing, expiring or a block is detected mid-run.
+// Pass the explorer's partition so every explorer keeps its own clearance; windows on a proxy use a
+// partition of their own, and forPartition() gives the manager that tracks its clearance.
+export class SessionManager {
+    constructor(options = {}) {
+        this.options = options;
+        this.baseUrl = options.baseUrl || 'https://etherscan.io';
+        this.partition = options.partition;
+        this.session = options.session ||
+            (options.partition ? session.fromPartition(options.partition) : session.defaultSession);
+        this.challengeTimeout = options.challengeTimeout ?? 120000; // ms the user gets to solve a challenge
+        this.minValidity = options.minValidity ?? 60000; // Clearance expiring sooner than this counts as expired
+        this.solving = null; // Challenge in progress, shared by every page that hits a block
+        this.checkPassed = false; // The session loaded the explorer (or solved its challenge) in this process
+        this.partitionManagers = new Map();
+    }
+
+    // Manager of another partition with the same settings, e.g. the one of a proxy's windows
+    forPartition(partition) {
+        if (!partition || partition === this.partition) return this;
+
+        if (!this.partitionManagers.has(partition)) {
+            const { session: _session, ...options } = this.options;
+            this.partitionManagers.set(partition, new SessionManager({ ...options, partition }));
+        }
+        return this.partitionManagers.get(partition);
+    }
+
+    async getClearanceCookie() {
+        try {
+            const cookies = await this.session.cookies.get({ url: this.baseUrl, name: CLEARANCE_COOKIE });
+            return cookies[0] || null;
+        } catch (error) {
+            console.error('Error reading Cloudflare clearance cookie:', error.message);
+            return null;
+        }
+    }
+
+    // Expiry of the clearance cookie; null when there is none, Infinity for a session cookie
+    async clearanceExpiresAt() {
+        const cookie = await this.getClearanceCookie();
+        if (!cookie) return null;
+        return cookie.expirationDate ? new Date(cookie.expirationDate * 1000) : Infinity;
+    }
+
+    async hasValidClearance() {
+        const expiresAt = await this.clearanceExpiresAt();
+        if (expiresAt === null) return false;
+        return expiresAt === Infinity || expiresAt.getTime() - Date.now() > this.minValidity;
+    }
+
+    // Make sure the session can load url. An explorer that is not challenging never issues a clearance
+    // cookie, so without one url is loaded in a hidden window first, and the check window only opens
+    // when that hits a challenge. A passed check holds for the rest of the process (e.g. a batch);
+    // blocks mid-run go through handleBlock(). A clearance about to expire is renewed right away.
+    async ensureClearance(url) {
+        if (await this.hasValidClearance()) {
+            const expiresAt = await this.clearanceExpiresAt();
+            console.log(`Cloudflare clearance valid${expiresAt === Infinity ? ' for this session' : ` until ${expiresAt.toISOString()}`}`);
+            return true;
+        }
+
+        if (!await this.getClearanceCookie()) {
+            if (this.checkPassed) return true;
+
+            const { type, reason } = await this.probe(url);
+            if (type !== PAGE_TYPES.CLOUDFLARE) {
+                console.log(`No Cloudflare challenge (${type}: ${reason})`);
+                // Only a page that loaded counts as passed; after an error the next check loads it again
+                this.checkPassed = type === PAGE_TYPES.RESULTS || type === PAGE_TYPES.EMPTY;
+                return true;
+            }
+        }
+
+        console.log('No valid Cloudflare clearance, opening check window...');
+        return this.solveChallenge(url);
+    }
+
+    // Load url in a hidden window of this session and classify what it shows
+    async probe(url) {
+        const probeWindow = new BrowserWindow({ show: false, webPreferences: { session: this.session } });
+        let status = null;
+        probeWindow.webContents.on('did-navigate', (event, navigatedUrl, httpResponseCode) => {
+            status = httpResponseCode || null;
+        });
+
+        let timer = null;
+        try {
+            await Promise.race([
+                probeWindow.loadURL(url),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Page load timeout')), PROBE_TIMEOUT);
+                })
+            ]);
+            return classifyPage(await probeWindow.webContents.executeJavaScript('document.documentElement.outerHTML'), status);
+        } catch (error) {
+            return classifyError(error);
+        } finally {
+            clearTimeout(timer);
+            if (!probeWindow.isDestroyed()) probeWindow.close();
+        }
+    }
+
+    // Pause the pool while the challenge for a mid-run block is solved, then let it continue
+    async handleBlock(pool, url) {
+        pool.pause();
+        try {
+            return await this.solveChallenge(url);
+        } finally {
+            pool.resume();
+        }
+    }
+
+    // Show url in a visible window until its results table loads. Resolves true when it does,
+    // false on timeout or when the user closes the window. Concurrent callers share one window.
+    solveChallenge(url) {
+        if (!this.solving) {
+            this.solving = this.openChallengeWindow(url)
+                .then(passed => {
+                    if (passed) this.checkPassed = true;
+                    return passed;
+                })
+                .finally(() => {
+                    this.solving = null;
+                });
+        }
+        return this.solving;
+    }
+
+    async openChallengeWindow(url) {
+        const challengeWindow = new BrowserWindow({
+            width: 1200,
+            height: 800,
+            show: true,
+            webPreferences: {
+                session: this.session // The clearance must land where the scraper windows look for it
+            }
+        });
+
+        console.log(`Loading URL: ${url}`);
+
+        return new Promise((resolve) => {
+            let resolved = false;
+
+            const finish = (passed, message) => {
+                if (resolved) return;
+                resolved = true;
+                clearTimeout(timeout);
+                console.log(message);
+                if (!challengeWindow.isDestroyed()) challengeWindow.close();
+                resolve(passed);
+            };
+
+            const timeout = setTimeout(() => {
+                finish(false, 'Timeout reached, Cloudflare check not passed');
+            }, this.challengeTimeout);
+
+            const checkTable = async () => {
+                if (resolved || challengeWindow.isDestroyed()) return;
+
+                try {
+                    const tableExists = await challengeWindow.webContents.executeJavaScript(`
+                        (function() {
+                            try {
+                                // Check if transaction table exists and has content
+                                const table = document.querySelector('table');
+                                const hasRows = table && table.querySelector('tbody tr');
+                                const hasTransactionData = document.body.textContent.includes('Txn Hash') ||
+                                                         document.body.textContent.includes('Transaction Hash');
+
+                                return Boolean(table && hasRows && hasTransactionData);
+                            } catch (error) {
+                                return false;
+                            }
+                        })()
+                    `);
+
+                    if (tableExists) {
+                        finish(true, 'Table found! Cloudflare check passed.');
+                        return;
+                    }
+                } catch (error) {
+                    // Page is still navigating through the challenge
+                }
+
+                if (!resolved) {
+                    setTimeout(checkTable, 500);
+                }
+            };
+
+            // Closing the window gives up on the challenge
+            challengeWindow.on('closed', () => {
+                finish(false, 'Check window closed manually, Cloudflare check not passed');
+            });
+
+            challengeWindow.loadURL(url).catch(error => {
+                console.log('Check window load error:', error.message);
+            });
+            setTimeout(checkTable, 500);
+        });
+    }
+}
@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiClient, ApiScrapper, ApiError, formatUnits } from '../apiBackend.js';
+import { validateOptions } from '../options.js';
+import { MockExplorer } from './mockExplorer.js';
+
+const TOKEN = '0x0023a1d0106185cbcc81b253a267b9d05015e0b7';
+
+function createScrapper(mock, type, options = {}, clientOptions = {}) {
+    const settings = validateOptions({ apiKey: 'key', apiUrl: mock.apiUrl, ...options });
+    const client = new ApiClient({
+        apiUrl: settings.apiUrl,
+        apiKey: settings.apiKey,
+        chainId: settings.explorer.chainId,
+        rateLimit: 100,
+        ...clientOptions
+    });
+    return new ApiScrapper(client, type, TOKEN, settings);
+}
+
+test('formatUnits', () => {
+    assert.equal(formatUnits('1500000000000000000', 18), '1.5');
+    assert.equal(formatUnits('1000', 0), '1000');
+    assert.equal(formatUnits('1', 6), '0.000001');
+    assert.equal(formatUnits(null, 18), null);
+});
+
+test('pages through more rows than one request returns', async (t) => {
+    const mock = await new MockExplorer({ apiKey: 'key', addresses: { [TOKEN]: { external: { count: 2500 } } } }).start();
+    t.after(() => mock.close());
+
+    const scrapper = createScrapper(mock, 'external');
+    const hashes = await scrapper.scrappe();
+
+    assert.deepEqual(new Set(hashes), new Set(mock.hashesFor(TOKEN, 'external')));
+    assert.equal(scrapper.getRows().length, 2500);
+    assert.equal(scrapper.getRows()[0].token, 'EXT');
+
+    const report = scrapper.getReport();
+    assert.equal(report.complete, true);
+    assert.deepEqual(report.hashes, { unique: 2500, total: 2500, duplicates: 0 });
+    assert.equal(report.pages.succeeded, report.hashesPerPage.length);
+});
+
+test('a stopped scraper sends no further requests', async (t) => {
+    const mock = await new MockExplorer({ apiKey: 'key', addresses: { [TOKEN]: { external: { count: 2500 } } } }).start();
+    t.after(() => mock.close());
+
+    const scrapper = createScrapper(mock, 'external');
+    scrapper.once('page', () => scrapper.stop());
+    const hashes = await scrapper.scrappe();
+
+    assert.equal(hashes.length, 1000);
+    assert.equal(mock.requestsFor({ kind: 'api' }).length, 1);
+});
+
+test('held events go out only when released', async (t) => {
+    const mock = await new MockExplorer({ apiKey: 'key', addresses: { [TOKEN]: { external: { count: 1500 } } } }).start();
+    t.after(() => mock.close());
+
+    const scrapper = createScrapper(mock, 'external');
+    const pages = [];
+    scrapper.on('page', ({ page }) => pages.push(page));
+    scrapper.holdEvents();
+    await scrapper.scrappe();
+    assert.deepEqual(pages, []);
+
+    scrapper.releaseEvents();
+    assert.deepEqual(pages, [1, 2]);
+});
+
+test('internal covers normal and internal transactions', async (t) => {
+    const mock = await new MockExplorer({ apiKey: 'key', addresses: { [TOKEN]: { internal: { count: 40 } } } }).start();
+    t.after(() => mock.close());
+
+    const hashes = await createScrapper(mock, 'internal').scrappe();
+    assert.deepEqual(hashes, mock.hashesFor(TOKEN, 'internal'));
+    assert.deepEqual(mock.requestsFor({ kind: 'api' }).map(request => request.action), ['txlist', 'txlistinternal']);
+});
+
+test('block ranges limit the request', async (t) => {
+    const mock = await new MockExplorer({ apiKey: 'key', addresses: { [TOKEN]: { external: { count: 100 } } } }).start();
+    t.after(() => mock.close());
+
+    const hashes = await createScrapper(mock, 'external', { fromBlock: 19999951 }).scrappe();
+    assert.deepEqual(hashes, mock.hashesFor(TOKEN, 'external').slice(0, 50));
+});
+
+test('rate-limited requests are retried', async (t) => {
+    const mock = await new MockExplorer({
+        apiKey: 'key',
+        apiFaults: ['rate-limit', 'http-429'],
+        addresses: { [TOKEN]: { external: { count: 10 } } }
+    }).start();
+    t.after(() => mock.close());
+
+    const scrapper = createScrapper(mock, 'external');
+    const retries = [];
+    scrapper.on('retry', event => retries.push(event));
+
+    const hashes = await scrapper.scrappe();
+    assert.equal(hashes.length, 10);
+    assert.equal(retries.length, 2);
+    assert.equal(retries[0].attempt, 1);
+});
+
+test('a rejected key fails with an ApiError', async (t) => {
+    const mock = await new MockExplorer({ apiKey: 'key', addresses: { [TOKEN]: { external: { count: 10 } } } }).start();
+    t.after(() => mock.close());
+
+    const scrapper = createScrapper(mock, 'external', { apiKey: 'wrong' });
+    await assert.rejects(scrapper.scrappe(), error => error instanceof ApiError && !error.rateLimited && /Invalid API Key/.test(error.message));
+});
+
+test('a rate limit that does not clear fails after maxRetries', async (t) => {
+    const mock = await new MockExplorer({
+        apiKey: 'key',
+        apiFaults: ['rate-limit', 'rate-limit'],
+        addresses: { [TOKEN]: { external: { count: 10 } } }
+    }).start();
+    t.after(() => mock.close());
+
+    const scrapper = createScrapper(mock, 'external', {}, { maxRetries: 2 });
+    await assert.rejects(scrapper.scrappe(), error => error instanceof ApiError && error.rateLimited);
+});
@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CheckpointStore } from '../checkpointStore.js';
+
+const TOKEN = '0x0023A1D0106185cBcC81b253a267b9d05015E0b7';
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('a resumed run gets the splits and sub-range pages of the run it resumes', (t) => {
+    const dir = tempDir(t);
+    const halves = [{ fromBlock: 0, toBlock: 9000000 }, { fromBlock: 9000001, toBlock: 18000000 }];
+    const first = new CheckpointStore(TOKEN, 'external', dir).reset();
+    first.recordSplit(null, halves);
+    first.save();
+    const piece = first.forRange(halves[1]);
+    piece.recordPage(1, ['0xa1'], []);
+    piece.save();
+
+    // The newest block has moved on, but the resumed run splits where the first one did
+    const resumed = new CheckpointStore(TOKEN, 'external', dir).load();
+    assert.deepEqual(resumed.splitOf(null), halves);
+    assert.equal(resumed.splitOf(halves[0]), null);
+    assert.deepEqual(resumed.forRange(resumed.splitOf(null)[1]).completedPages(), [1]);
+
+    const fresh = new CheckpointStore(TOKEN, 'external', dir).reset();
+    assert.equal(fresh.splitOf(null), null);
+    assert.deepEqual(fresh.forRange(halves[1]).completedPages(), []);
+});
@@ -0,0 +1,231 @@
+// End-to-end scraper tests against the mock explorer. They need real browser windows, so they run in
+// Electron instead of node --test: npm run test:e2e
+import assert from 'assert/strict';
+import electron from 'electron';
+import { ExternalScrapper } from '../../externalScrapper.js';
+import { InternalScrapper } from '../../internalScrapper.js';
+import { PAGE_TYPES } from '../../pageClassifier.js';
+import { MockExplorer, mockTransaction } from '../mockExplorer.js';
+
+const { app } = electron;
+
+const TOKEN = '0x0023a1d0106185cbcc81b253a267b9d05015e0b7';
+
+// Fast settings for a local server; the tests only check the outcome, not the pacing
+const FAST_OPTIONS = {
+    maxWindows: 2,
+    windowCooldown: 0,
+    minRequestInterval: 0,
+    batchDelay: 0,
+    pageTimeout: 10000
+};
+
+// Scrape one address against a mock serving scenario; returns the hashes, the scraper and its events.
+// knownHashes makes it an incremental run.
+async function scrape(Scrapper, scenario, options = {}, knownHashes = null) {
+    const mock = await new MockExplorer(scenario).start();
+    const scrapper = new Scrapper(app, TOKEN, { ...FAST_OPTIONS, ...options, explorerUrl: mock.url });
+    scrapper.knownHashes = knownHashes;
+    const events = { retry: [], blocked: [], page: [], progress: [] };
+    Object.keys(events).forEach(event => scrapper.on(event, data => events[event].push(data)));
+
+    try {
+        const hashes = await scrapper.scrappe();
+        return { hashes, scrapper, events, mock };
+    } finally {
+        scrapper.cleanup();
+        await mock.close();
+    }
+}
+
+const TESTS = {
+    'external: pages through every result page': async () => {
+        const { hashes, scrapper, events, mock } = await scrape(ExternalScrapper, {
+            addresses: { [TOKEN]: { external: { count: 250 } } }
+        });
+
+        assert.deepEqual(new Set(hashes), new Set(mock.hashesFor(TOKEN, 'external')));
+        assert.equal(scrapper.failedCount, 0);
+        assert.equal(events.retry.length, 0);
+        assert.deepEqual(events.page.map(event => event.page).sort(), [1, 2, 3]);
+        assert.equal(scrapper.getRows().length, 250);
+
+        const report = scrapper.getReport();
+        assert.equal(report.complete, true);
+        assert.deepEqual(report.pages, { planned: 3, succeeded: 3, failed: 0, skipped: 0 });
+        assert.deepEqual(report.hashesPerPage.map(entry => entry.hashes), [100, 100, 50]);
+        assert.deepEqual(report.hashes, { unique: 250, total: 250, duplicates: 0 });
+
+        // Every page went through the request filter of the window session
+        assert.ok(scrapper.pool.resourceStats().allowed >= 3);
+    },
+
+    'dom capture: reads the rendered page instead of the response': async () => {
+        const { hashes, scrapper, mock } = await scrape(ExternalScrapper, {
+            addresses: { [TOKEN]: { external: { count: 150, faults: { 2: ['http-429'] } } } }
+        }, { capture: 'dom', maxRetries: 2 });
+
+        assert.deepEqual(new Set(hashes), new Set(mock.hashesFor(TOKEN, 'external')));
+        assert.equal(scrapper.failedCount, 0);
+        assert.equal(scrapper.getRows().length, 150);
+    },
+
+    'internal: scrapes transactions from and to the address': async () => {
+        const { hashes, scrapper, mock } = await scrape(InternalScrapper, {
+            addresses: { [TOKEN]: { internal: { count: 120 } } }
+        });
+
+        assert.deepEqual(new Set(hashes), new Set(mock.hashesFor(TOKEN, 'internal')));
+        assert.equal(scrapper.failedCount, 0);
+    },
+
+    'empty address: no hashes and no failures': async () => {
+        const { hashes, scrapper, events, mock } = await scrape(InternalScrapper, { addresses: {} });
+
+        assert.deepEqual(hashes, []);
+        assert.equal(scrapper.failedCount, 0);
+        assert.equal(events.retry.length, 0);
+        assert.ok(mock.requestsFor({ response: 'empty' }).length > 0);
+    },
+
+    'challenge and rate-limit pages are retried until the results load': async () => {
+        const { hashes, scrapper, events, mock } = await scrape(ExternalScrapper, {
+            addresses: { [TOKEN]: { external: { count: 300, faults: { 2: ['cloudflare'], 3: ['rate-limit', 'http-429'] } } } }
+        }, { maxRetries: 3 });
+
+        assert.deepEqual(new Set(hashes), new Set(mock.hashesFor(TOKEN, 'external')));
+        assert.equal(scrapper.failedCount, 0);
+
+        const retried = events.retry.map(event => [event.page, event.classification.type]);
+        assert.deepEqual(retried.sort(), [
+            [2, PAGE_TYPES.CLOUDFLARE],
+            [3, PAGE_TYPES.RATE_LIMIT],
+            [3, PAGE_TYPES.RATE_LIMIT]
+        ]);
+        assert.deepEqual(events.blocked.map(event => event.page).sort(), [2, 3, 3]);
+
+        // The rate controller saw the blocks and reports its pace with the progress
+        const { rate } = events.progress[events.progress.length - 1];
+        assert.equal(rate.blocked, 3);
+        assert.ok(rate.success >= 3);
+    },
+
+    'a page that keeps failing is reported, the others are kept': async () => {
+        const { hashes, scrapper, mock } = await scrape(ExternalScrapper, {
+            addresses: { [TOKEN]: { external: { count: 300, faults: { 2: 'down' } } } }
+        }, { maxRetries: 2, autoRetryFailed: false });
+
+        const expected = mock.hashesFor(TOKEN, 'external').filter((hash, index) => index < 100 || index >= 200);
+        assert.deepEqual(new Set(hashes), new Set(expected));
+        assert.equal(scrapper.failedCount, 1);
+        assert.deepEqual(Array.from(scrapper.failedPages), [2]);
+        assert.equal(scrapper.pageClassifications.get(2).type, PAGE_TYPES.MAINTENANCE);
+        assert.equal(mock.requestsFor({ page: 2, response: 'down' }).length, 2);
+
+        const report = scrapper.getReport();
+        assert.equal(report.complete, false);
+        assert.deepEqual(report.pages, { planned: 3, succeeded: 2, failed: 1, skipped: 0 });
+        assert.deepEqual(report.failedPages.map(({ page, type }) => [page, type]), [[2, PAGE_TYPES.MAINTENANCE]]);
+    },
+
+    'failed pages are picked up again by the retry pass': async () => {
+        const { hashes, scrapper, mock } = await scrape(ExternalScrapper, {
+            addresses: { [TOKEN]: { external: { count: 200, faults: { 2: ['http-429', 'http-429'] } } } }
+        }, { maxRetries: 2, autoRetryFailed: true });
+
+        // The hashes of the recovered page are part of the result
+        assert.deepEqual(new Set(hashes), new Set(mock.hashesFor(TOKEN, 'external')));
+        assert.equal(scrapper.failedCount, 0);
+        assert.equal(mock.requestsFor({ page: 2 }).length, 3);
+        assert.equal(scrapper.getReport().complete, true);
+    },
+
+    'result sets past the row limit are split by block range': async () => {
+        const { hashes, scrapper, mock } = await scrape(ExternalScrapper, {
+            addresses: { [TOKEN]: { external: { count: 10200 } } }
+        }, { maxWindows: 4 });
+
+        assert.equal(hashes.length, 10200);
+        assert.deepEqual(new Set(hashes), new Set(mock.hashesFor(TOKEN, 'external')));
+        assert.ok(scrapper.rangeScrappers.length > 1);
+        assert.equal(scrapper.totalRows, 10200);
+        assert.equal(scrapper.failedCount, 0);
+
+        const report = scrapper.getReport();
+        assert.equal(report.complete, true);
+        assert.equal(report.hashes.unique, 10200);
+        assert.equal(report.pages.planned, report.pages.succeeded);
+    },
+
+    'a totalPages within the page limit scrapes large result sets without splitting them': async () => {
+        const { hashes, scrapper } = await scrape(ExternalScrapper, {
+            addresses: { [TOKEN]: { external: { count: 10200 } } }
+        }, { maxWindows: 4, totalPages: 20 });
+
+        assert.equal(hashes.length, 2000);
+        assert.equal(scrapper.rangeScrappers, null);
+
+        const report = scrapper.getReport();
+        assert.equal(report.complete, false);
+        assert.match(report.truncated[0].reason, /totalPages limits the scrape to 20 pages/);
+    },
+
+    'incremental runs scrape the newest piece of a split range and leave the older history': async () => {
+        const known = new Set([mockTransaction(TOKEN, 'external', 250).hash]);
+        const { hashes, scrapper, mock } = await scrape(ExternalScrapper, {
+            addresses: { [TOKEN]: { external: { count: 10200 } } }
+        }, { maxWindows: 4 }, known);
+
+        const newest = mock.hashesFor(TOKEN, 'external').slice(0, 250);
+        assert.ok(newest.every(hash => hashes.includes(hash)));
+        assert.ok(hashes.length < 1000);
+        assert.equal(scrapper.rangeScrappers.length, 1);
+        assert.equal(scrapper.rangeScrappers[0].stoppedAtPage, 3);
+    },
+
+    'a pagination rendered by a script is waited for in network capture mode': async () => {
+        const { hashes, scrapper, mock } = await scrape(ExternalScrapper, {
+            scriptPagination: true,
+            addresses: { [TOKEN]: { external: { count: 250 } } }
+        }, { capture: 'network' });
+
+        assert.deepEqual(new Set(hashes), new Set(mock.hashesFor(TOKEN, 'external')));
+        assert.equal(scrapper.plannedPages, 3);
+        assert.equal(scrapper.failedCount, 0);
+    },
+
+    'a page count that cannot be detected fails the scrape instead of guessing': async () => {
+        await assert.rejects(
+            scrape(ExternalScrapper, { addresses: { [TOKEN]: { external: { count: 300, faults: { 1: 'down' } } } } }, { maxRetries: 1 }),
+            /Could not detect the number of pages/
+        );
+    }
+};
+
+async function run() {
+    await app.whenReady();
+    let failures = 0;
+
+    for (const [name, testCase] of Object.entries(TESTS)) {
+        const startTime = Date.now();
+        try {
+            await testCase();
+            console.log(`✅ ${name} (${Date.now() - startTime}ms)`);
+        } catch (error) {
+            failures++;
+            console.error(`❌ ${name}`);
+            console.error(error);
+        }
+    }
+
+    console.log(`\n${Object.keys(TESTS).length - failures}/${Object.keys(TESTS).length} passed`);
+    app.exit(failures > 0 ? 1 : 0);
+}
+
+// Scraper windows come and go between tests; don't let Electron quit when none are open
+app.on('window-all-closed', () => { });
+
+run().catch(error => {
+    console.error(error);
+    app.exit(1);
+});
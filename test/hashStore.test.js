@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HashStore, getHashes } from '../hashStore.js';
+import { validateOptions } from '../options.js';
+
+const TOKEN = '0x0023A1D0106185cBcC81b253a267b9d05015E0b7';
+const OTHER = '0x28c6c06298d514db089934071355e5743bf21d60';
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hash-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('records hashes with their page and first and last sighting', (t) => {
+    const store = new HashStore(tempDir(t)).load();
+    const range = { fromBlock: 100, toBlock: 200 };
+
+    const added = store.record({ address: TOKEN, type: 'external', page: 3, range, hashes: ['0xa1', '0xa2', '0xa1'] }, '2024-01-01T00:00:00Z');
+    assert.deepEqual(added, ['0xa1', '0xa2']);
+
+    assert.deepEqual(store.record({ address: TOKEN, type: 'external', page: 5, hashes: ['0xa1', '0xa3'] }, '2024-02-01T00:00:00Z'), ['0xa3']);
+    assert.deepEqual(store.get(TOKEN, 'external', '0xa1'), {
+        hash: '0xa1',
+        address: TOKEN.toLowerCase(),
+        type: 'external',
+        page: 3,
+        range,
+        firstSeen: '2024-01-01T00:00:00.000Z',
+        lastSeen: '2024-02-01T00:00:00.000Z'
+    });
+
+    // The same hash is kept apart per transaction type
+    assert.deepEqual(store.record({ address: TOKEN, type: 'internal', page: 1, hashes: ['0xa1'] }), ['0xa1']);
+    assert.equal(store.size, 4);
+});
+
+test('keeps the records across runs', (t) => {
+    const dir = tempDir(t);
+    const first = new HashStore(dir).load();
+    first.record({ address: TOKEN, type: 'external', page: 1, hashes: ['0xa1', '0xa2'] }, '2024-01-01T00:00:00Z');
+    first.record({ address: TOKEN, type: 'external', page: 1, hashes: ['0xa2'] }, '2024-03-01T00:00:00Z');
+
+    const second = new HashStore(dir).load();
+    assert.equal(second.size, 2);
+    assert.equal(second.get(TOKEN, 'external', '0xa2').lastSeen, '2024-03-01T00:00:00.000Z');
+    assert.deepEqual(second.record({ address: TOKEN, type: 'external', page: 2, hashes: ['0xa1', '0xa3'] }), ['0xa3']);
+});
+
+test('pulls the hashes of an address first seen since a time', (t) => {
+    const dir = tempDir(t);
+    const store = new HashStore(dir).load();
+    store.record({ address: TOKEN, type: 'external', page: 2, hashes: ['0xb1'] }, '2024-05-01T00:00:00Z');
+    store.record({ address: TOKEN, type: 'internal', page: 1, hashes: ['0xb2'] }, '2024-06-02T00:00:00Z');
+    store.record({ address: TOKEN, type: 'external', page: 1, hashes: ['0xb3', '0xb1'] }, '2024-06-01T00:00:00Z');
+    store.record({ address: OTHER, type: 'external', page: 1, hashes: ['0xc1'] }, '2024-06-01T00:00:00Z');
+
+    assert.deepEqual(store.getHashes(TOKEN).map(record => record.hash), ['0xb1', '0xb3', '0xb2']);
+    assert.deepEqual(store.getHashes(TOKEN.toLowerCase(), { since: '2024-06-01' }).map(record => record.hash), ['0xb3', '0xb2']);
+    assert.deepEqual(store.getHashes(TOKEN, { since: new Date('2024-06-01'), type: 'external' }).map(record => record.hash), ['0xb3']);
+    assert.throws(() => store.getHashes(TOKEN, { since: 'yesterday' }), /Invalid date/);
+
+    assert.deepEqual(getHashes(OTHER, { hashStoreDir: dir }).map(record => record.hash), ['0xc1']);
+    assert.deepEqual(getHashes(OTHER, { hashStoreDir: dir, chain: 'bsc' }), []);
+});
+
+test('skips a line cut off by a crash and compacts repeated sightings', (t) => {
+    const dir = tempDir(t);
+    const store = new HashStore(dir).load();
+    for (let run = 1; run <= 5; run++) {
+        store.record({ address: TOKEN, type: 'external', page: 1, hashes: ['0xd1', '0xd2'] }, `2024-01-0${run}T00:00:00Z`);
+    }
+    fs.appendFileSync(store.file, '{"hash":"0xd3","addr');
+
+    // Reading leaves the file as it is; the writer compacts it
+    const lines = () => fs.readFileSync(store.file, 'utf8').trim().split('\n').length;
+    assert.equal(getHashes(TOKEN, { hashStoreDir: dir }).length, 2);
+    assert.equal(lines(), 11);
+
+    const reloaded = new HashStore(dir).load().compactIfNeeded();
+    assert.equal(reloaded.size, 2);
+    assert.equal(lines(), 2);
+    assert.deepEqual(reloaded.get(TOKEN, 'external', '0xd2'), new HashStore(dir).load().get(TOKEN, 'external', '0xd2'));
+    assert.equal(reloaded.get(TOKEN, 'external', '0xd2').firstSeen, '2024-01-01T00:00:00.000Z');
+    assert.equal(reloaded.get(TOKEN, 'external', '0xd2').lastSeen, '2024-01-05T00:00:00.000Z');
+});
+
+test('validates the hash store options', () => {
+    assert.equal(validateOptions({}).storeHashes, false);
+    assert.throws(() => validateOptions({ storeHashes: 'yes' }), /must be a boolean/);
+    assert.throws(() => validateOptions({ hashStoreDir: '' }), /non-empty string/);
+});
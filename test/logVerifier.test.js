@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LogVerifier, gapRanges } from '../logVerifier.js';
+import { RpcClient } from '../rpcEnricher.js';
+import { validateOptions } from '../options.js';
+import { mockTransaction } from './mockExplorer.js';
+import { MockRpc } from './mockRpc.js';
+
+const TOKEN = '0x0023a1d0106185cbcc81b253a267b9d05015e0b7';
+const OTHER_TOKEN = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+
+// Token transfers in consecutive blocks, newest first
+function transfers(count, token = TOKEN) {
+    return Array.from({ length: count }, (_, index) => {
+        const tx = mockTransaction(token, 'external', index);
+        return { ...tx, transfers: [{ token, from: tx.from, to: tx.to, value: tx.value }] };
+    });
+}
+
+function rowsOf(txs) {
+    return txs.map(tx => ({ hash: tx.hash, block: tx.block }));
+}
+
+async function startRpc(t, scenario) {
+    const rpc = await new MockRpc(scenario).start();
+    t.after(() => rpc.close());
+    return rpc;
+}
+
+function createVerifier(rpc, options) {
+    return new LogVerifier(new RpcClient({ url: rpc.url, maxRetries: 1 }), TOKEN, options);
+}
+
+test('groups missing blocks into gap ranges', () => {
+    assert.deepEqual(gapRanges([500, 120, 100, 180, null, 100], 60), [
+        { fromBlock: 100, toBlock: 180 },
+        { fromBlock: 500, toBlock: 500 }
+    ]);
+    assert.deepEqual(gapRanges([]), []);
+});
+
+test('reports missing and extra hashes with their blocks', async (t) => {
+    const txs = transfers(20);
+    const rpc = await startRpc(t, { transactions: [...txs, ...transfers(3, OTHER_TOKEN)] });
+    const range = { fromBlock: txs[19].block, toBlock: txs[0].block };
+    const extra = { hash: '0x' + 'ab'.repeat(32), block: txs[3].block };
+    const scraped = [...rowsOf(txs.filter((_, index) => index !== 5 && index !== 6 && index !== 15)), extra];
+
+    const verification = await createVerifier(rpc, { range }).verify(scraped);
+
+    assert.equal(verification.complete, false);
+    assert.equal(verification.logs, 20);
+    assert.equal(verification.scraped, 18);
+    assert.deepEqual(verification.missing, [txs[5], txs[6], txs[15]].map(tx => ({ hash: tx.hash, block: tx.block })));
+    assert.deepEqual(verification.extra, [extra]);
+    assert.deepEqual(verification.gaps, [{ fromBlock: txs[15].block, toBlock: txs[5].block }]);
+});
+
+test('a complete scrape verifies clean', async (t) => {
+    const txs = transfers(10);
+    const rpc = await startRpc(t, { transactions: txs });
+
+    const verification = await createVerifier(rpc, { range: { fromBlock: txs[9].block, toBlock: txs[0].block } }).verify(rowsOf(txs));
+    assert.equal(verification.complete, true);
+    assert.deepEqual(verification.missing, []);
+    assert.deepEqual(verification.gaps, []);
+});
+
+test('fetches the logs in block chunks', async (t) => {
+    const txs = transfers(20);
+    const rpc = await startRpc(t, { transactions: txs });
+
+    const verifier = createVerifier(rpc, { range: { fromBlock: txs[19].block, toBlock: txs[0].block }, chunkSize: 6 });
+    const found = await verifier.fetchTransfers(await verifier.blockBounds());
+
+    assert.equal(found.size, 20);
+    assert.equal(found.get(txs[7].hash), txs[7].block);
+    assert.equal(rpc.callsFor('eth_getLogs').length, 4);
+});
+
+test('splits chunks the node refuses for too many results', async (t) => {
+    const txs = transfers(20);
+    // The node refuses with -32005, the code of its rate limit too
+    const rpc = await startRpc(t, { transactions: txs, maxLogs: 4 });
+
+    const verification = await createVerifier(rpc, { range: { fromBlock: txs[19].block, toBlock: txs[0].block } }).verify(rowsOf(txs));
+
+    assert.equal(verification.complete, true);
+    assert.equal(verification.logs, 20);
+    assert.ok(rpc.callsFor('eth_getLogs').length > 5);
+});
+
+test('retries getLogs calls refused for the rate limit instead of splitting them', async (t) => {
+    const txs = transfers(10);
+    const rpc = await startRpc(t, { transactions: txs, faults: ['call-rate-limit'] });
+    const client = new RpcClient({ url: rpc.url, maxRetries: 2 });
+
+    const verifier = new LogVerifier(client, TOKEN, { range: { fromBlock: txs[9].block, toBlock: txs[0].block } });
+    const verification = await verifier.verify(rowsOf(txs));
+
+    assert.equal(verification.complete, true);
+    assert.equal(rpc.callsFor('eth_getLogs').length, 2);
+    assert.deepEqual(rpc.requests.map(request => request.response), ['call-rate-limit', 'ok']);
+});
+
+test('an open range ends at the latest block and leaves newer rows out', async (t) => {
+    const txs = transfers(10);
+    const rpc = await startRpc(t, { transactions: txs.slice(2), latestBlock: txs[2].block });
+
+    const verification = await createVerifier(rpc, { range: { fromBlock: txs[9].block } }).verify(rowsOf(txs));
+
+    assert.deepEqual(verification.range, { fromBlock: txs[9].block, toBlock: txs[2].block });
+    assert.equal(verification.scraped, 8);
+    assert.equal(verification.complete, true);
+    assert.deepEqual(verification.extra, []);
+});
+
+test('needs a block range and an RPC endpoint', async () => {
+    const verifier = new LogVerifier(new RpcClient({ url: 'http://127.0.0.1:1' }), TOKEN, { range: { fromDate: '2024-01-01' } });
+    await assert.rejects(() => verifier.blockBounds(), /needs a block range/);
+
+    assert.equal(validateOptions({ rpcUrl: 'http://127.0.0.1:8545', verify: true }).rescrapeGaps, true);
+    assert.throws(() => validateOptions({ verify: true }), /requires "rpcUrl"/);
+    assert.throws(() => validateOptions({ rpcUrl: 'http://127.0.0.1:8545', verify: true, fromDate: '2024-01-01' }), /needs a block range/);
+    assert.throws(() => validateOptions({ logChunkSize: 0 }), /between 1 and 1000000/);
+});
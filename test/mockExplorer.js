@@ -0,0 +1,333 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Local stand-in for an Etherscan-family explorer. Serves advanced-filter pages built from the recorded
+// fixtures, plus the account endpoints of the HTTP API, for addresses with generated transactions.
+// Point a scraper at it with the explorerUrl option (apiUrl for the API backend).
+//
+// Scenario:
+// {
+//     apiKey: 'key',                         // API key the /api endpoint accepts (any when omitted)
+//     apiFaults: ['rate-limit'],             // Answers of the next API requests, in order
+//     scriptPagination: true,                // Pagination rendered by a script after load, not in the response
+//     addresses: {
+//         '0xabc...': {
+//             external: {
+//                 count: 250,                // Transactions of the address, newest first
+//                 faults: {                  // Answers of the next requests of a page, in order
+//                     2: ['cloudflare', 'rate-limit'],
+//                     3: 'down'              // Every request of page 3 fails
+//                 }
+//             },
+//             internal: { count: 0 }
+//         }
+//     }
+// }
+//
+// Page faults: 'cloudflare' (challenge, HTTP 403), 'rate-limit' (Etherscan's page, HTTP 200),
+// 'http-429', 'maintenance' (HTTP 503). Detecting the page count loads page 1, which takes a fault of page 1.
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+const FIXTURES = {
+    results: readFixture('results.html'),
+    empty: readFixture('empty.html'),
+    cloudflare: readFixture('cloudflare.html'),
+    rateLimit: readFixture('rate-limit.html'),
+    maintenance: readFixture('maintenance.html')
+};
+
+// Rows are rendered from the first recorded row of the results fixture
+const ROW_TEMPLATE = FIXTURES.results.match(/<tbody[^>]*>\s*(<tr>[\s\S]*?<\/tr>)/)[1];
+
+const FAULT_RESPONSES = {
+    cloudflare: { status: 403, body: FIXTURES.cloudflare },
+    'rate-limit': { status: 200, body: FIXTURES.rateLimit },
+    'http-429': { status: 429, body: FIXTURES.rateLimit },
+    maintenance: { status: 503, body: FIXTURES.maintenance },
+    down: { status: 503, body: FIXTURES.maintenance }
+};
+
+const API_FAULTS = {
+    'rate-limit': { status: 200, body: { status: '0', message: 'NOTOK', result: 'Max calls per sec rate limit reached (5/sec)' } },
+    'http-429': { status: 429, body: { status: '0', message: 'NOTOK', result: 'Too Many Requests' } }
+};
+
+// Newest transaction; older ones follow one block and twelve seconds apart
+export const LATEST_BLOCK = 20000000;
+const LATEST_TIME = Date.parse('2024-06-01T12:00:00Z') / 1000;
+const MAX_RESULT_ROWS = 10000;
+const COUNTERPARTY = '0x28c6c06298d514db089934071355e5743bf21d60';
+
+// The index-th newest transaction of an address and type
+export function mockTransaction(address, type, index) {
+    const hash = '0x' + crypto.createHash('sha256').update(`${address.toLowerCase()}:${type}:${index}`).digest('hex');
+    return {
+        hash,
+        block: LATEST_BLOCK - index,
+        timeStamp: LATEST_TIME - index * 12,
+        from: index % 2 === 0 ? COUNTERPARTY : address.toLowerCase(),
+        to: index % 2 === 0 ? address.toLowerCase() : COUNTERPARTY,
+        value: String(BigInt(index + 1) * 10n ** 15n)
+    };
+}
+
+function parseBounds(value, toBound) {
+    if (!value) return [null, null];
+    return value.split('~').map(bound => (bound === '' ? null : toBound(bound)));
+}
+
+// Advanced-filter range parameters (blk / age) as a predicate on transactions
+function rangeFilter(params) {
+    const [fromBlock, toBlock] = parseBounds(params.get('blk'), Number);
+    const [fromTime, toTime] = parseBounds(params.get('age'), date => Date.parse(`${date}T00:00:00Z`) / 1000);
+
+    return tx => (fromBlock === null || tx.block >= fromBlock) &&
+        (toBlock === null || tx.block <= toBlock) &&
+        (fromTime === null || tx.timeStamp >= fromTime) &&
+        (toTime === null || tx.timeStamp < toTime + 24 * 60 * 60);
+}
+
+function formatDate(timeStamp) {
+    return new Date(timeStamp * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function renderRow(tx, address, type) {
+    let row = ROW_TEMPLATE
+        .replace(/\/tx\/0x[a-fA-F0-9]{64}/, `/tx/${tx.hash}`)
+        .replace(/\/block\/\d+">\d+</, `/block/${tx.block}">${tx.block}<`)
+        .replace(/data-bs-title="[^"]*"/, `data-bs-title="${formatDate(tx.timeStamp)}"`);
+
+    // From and To cells in order
+    let addressCell = 0;
+    row = row.replace(/\/address\/(0x[a-fA-F0-9]{40})" data-highlight-target="0x[a-fA-F0-9]{40}"/g, () => {
+        const value = addressCell++ === 0 ? tx.from : tx.to;
+        return `/address/${value}" data-highlight-target="${value}"`;
+    });
+
+    if (type === 'external') {
+        row = row.replace(/\/token\/0x[a-fA-F0-9]{40}/, `/token/${address.toLowerCase()}`);
+    }
+    return row;
+}
+
+// Move the pagination of a results page into a script that adds it shortly after the page loads
+function renderPaginationLater(body) {
+    const [pagination] = body.match(/<ul class="pagination[\s\S]*?<\/ul>/);
+    const script = `<script>setTimeout(() => { document.getElementById('pagination').outerHTML = ${JSON.stringify(pagination)}; }, 300);</script>`;
+    return body
+        .replace(pagination, '<ul id="pagination"></ul>')
+        .replace('</body>', `${script}\n</body>`);
+}
+
+// Query type of an advanced-filter request, as in queries.js
+function pageQueryType(params) {
+    if (params.get('tkn') && params.get('txntype') === '2') return 'external';
+    if (params.get('fadd') && params.get('fadd') === params.get('tadd')) return 'internal';
+    return null;
+}
+
+export class MockExplorer {
+    constructor(scenario = {}) {
+        this.scenario = scenario;
+        this.addresses = Object.fromEntries(Object.entries(scenario.addresses || {})
+            .map(([address, types]) => [address.toLowerCase(), types]));
+        this.apiFaults = [...(scenario.apiFaults || [])];
+        this.pageFaults = new Map(); // "address:type:page" -> faults still to serve
+        this.requests = []; // { kind, type, address, page, response } per request served
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.url = null;
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this;
+    }
+
+    close() {
+        return new Promise(resolve => {
+            this.server.closeAllConnections?.();
+            this.server.close(() => resolve());
+        });
+    }
+
+    get apiUrl() {
+        return `${this.url}/api`;
+    }
+
+    dataset(address, type) {
+        return this.addresses[address.toLowerCase()]?.[type] || { count: 0 };
+    }
+
+    // Every transaction of an address and type, newest first
+    transactions(address, type) {
+        const { count } = this.dataset(address, type);
+        return Array.from({ length: count }, (_, index) => mockTransaction(address, type, index));
+    }
+
+    // The hashes a complete scrape of an address and type has to find
+    hashesFor(address, type) {
+        return this.transactions(address, type).map(tx => tx.hash);
+    }
+
+    // Requests served so far, optionally only those matching every field of filter
+    requestsFor(filter = {}) {
+        return this.requests.filter(request =>
+            Object.entries(filter).every(([key, value]) => request[key] === value));
+    }
+
+    handle(req, res) {
+        const url = new URL(req.url, this.url);
+        try {
+            if (url.pathname === '/advanced-filter') {
+                this.servePage(url.searchParams, res);
+            } else if (url.pathname === '/api') {
+                this.serveApi(url.searchParams, res);
+            } else {
+                this.send(res, 404, 'text/plain', 'Not found');
+            }
+        } catch (error) {
+            this.send(res, 500, 'text/plain', error.stack);
+        }
+    }
+
+    send(res, status, contentType, body) {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(body);
+    }
+
+    // Next fault of a page, or null when it should be served normally
+    takeFault(address, type, page) {
+        const dataset = this.dataset(address, type);
+        const key = `${address}:${type}:${page}`;
+        if (!this.pageFaults.has(key)) {
+            const faults = dataset.faults?.[page] ?? [];
+            this.pageFaults.set(key, Array.isArray(faults) ? [...faults] : faults);
+        }
+
+        const faults = this.pageFaults.get(key);
+        if (faults === 'down') return 'down';
+        return faults.shift() || null;
+    }
+
+    servePage(params, res) {
+        const type = pageQueryType(params);
+        const address = (params.get('tkn') || params.get('fadd') || '').toLowerCase();
+        const page = Number(params.get('p') || 1);
+        const pageSize = Number(params.get('ps') || 25);
+        const log = { kind: 'page', type, address, page };
+        this.requests.push(log);
+
+        const fault = type ? this.takeFault(address, type, page) : null;
+        if (fault) {
+            const { status, body } = FAULT_RESPONSES[fault];
+            log.response = fault;
+            this.send(res, status, 'text/html; charset=utf-8', body);
+            return;
+        }
+
+        const matching = type ? this.transactions(address, type).filter(rangeFilter(params)) : [];
+        const rows = matching.slice(0, MAX_RESULT_ROWS).slice((page - 1) * pageSize, page * pageSize);
+        if (rows.length === 0) {
+            log.response = 'empty';
+            this.send(res, 200, 'text/html; charset=utf-8', FIXTURES.empty);
+            return;
+        }
+
+        const totalPages = Math.ceil(Math.min(matching.length, MAX_RESULT_ROWS) / pageSize);
+        const body = FIXTURES.results
+            .replace(/A total of \d+ transactions found/, `A total of ${matching.length} transactions found`)
+            .replace(/Page \d+ of \d+/, `Page ${page} of ${totalPages}`)
+            .replace(/(<tbody[^>]*>)[\s\S]*?(<\/tbody>)/, (_, open, close) =>
+                `${open}\n${rows.map(tx => renderRow(tx, address, type)).join('\n')}\n${close}`);
+        log.response = 'results';
+        this.send(res, 200, 'text/html; charset=utf-8', this.scenario.scriptPagination ? renderPaginationLater(body) : body);
+    }
+
+    sendApi(res, log, response, status = 200) {
+        log.response = response.status === '1' ? 'results' : (response.result || response.message);
+        this.send(res, status, 'application/json', JSON.stringify(response));
+    }
+
+    serveApi(params, res) {
+        const action = params.get('action');
+        const log = { kind: 'api', action };
+        this.requests.push(log);
+
+        const fault = this.apiFaults.shift();
+        if (fault) {
+            const { status, body } = API_FAULTS[fault];
+            log.response = fault;
+            this.send(res, status, 'application/json', JSON.stringify(body));
+            return;
+        }
+
+        if (this.scenario.apiKey && params.get('apikey') !== this.scenario.apiKey) {
+            this.sendApi(res, log, { status: '0', message: 'NOTOK', result: 'Invalid API Key' });
+            return;
+        }
+
+        if (action === 'getblocknobytime') {
+            const timestamp = Number(params.get('timestamp'));
+            const offset = (LATEST_TIME - timestamp) / 12;
+            const index = params.get('closest') === 'before' ? Math.ceil(offset) : Math.floor(offset);
+            this.sendApi(res, log, { status: '1', message: 'OK', result: String(LATEST_BLOCK - index) });
+            return;
+        }
+
+        const types = { tokentx: ['external', 'contractaddress'], txlist: ['internal', 'address'], txlistinternal: [null, 'address'] };
+        if (!types[action]) {
+            this.sendApi(res, log, { status: '0', message: 'NOTOK', result: 'Error! Missing Or invalid Action name' });
+            return;
+        }
+
+        const [type, addressParam] = types[action];
+        const address = (params.get(addressParam) || '').toLowerCase();
+        const startBlock = Number(params.get('startblock') || 0);
+        const endBlock = Number(params.get('endblock') || 99999999);
+        const page = Number(params.get('page') || 1);
+        const offset = Number(params.get('offset') || 10000);
+        Object.assign(log, { type, address, page });
+
+        if (page * offset > MAX_RESULT_ROWS) {
+            this.sendApi(res, log, { status: '0', message: 'NOTOK', result: 'Result window is too large, PageNo x Offset size must be less than or equal to 10000' });
+            return;
+        }
+
+        let matching = type ? this.transactions(address, type).filter(tx => tx.block >= startBlock && tx.block <= endBlock) : [];
+        if (params.get('sort') !== 'desc') matching = matching.reverse();
+        const items = matching.slice((page - 1) * offset, page * offset).map(tx => this.apiItem(action, address, tx));
+
+        if (items.length === 0) {
+            this.sendApi(res, log, { status: '0', message: 'No transactions found', result: [] });
+            return;
+        }
+        this.sendApi(res, log, { status: '1', message: 'OK', result: items });
+    }
+
+    apiItem(action, address, tx) {
+        const item = {
+            blockNumber: String(tx.block),
+            timeStamp: String(tx.timeStamp),
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            value: tx.value,
+            gasPrice: '20000000000',
+            gasUsed: '52000'
+        };
+
+        if (action === 'tokentx') {
+            return { ...item, contractAddress: address, tokenName: 'Example Token', tokenSymbol: 'EXT', tokenDecimal: '18', logIndex: '0' };
+        }
+        return { ...item, methodId: '0xa9059cbb', functionName: 'transfer(address _to, uint256 _value)' };
+    }
+}
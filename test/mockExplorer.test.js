@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MockExplorer } from './mockExplorer.js';
+import { buildQueryUrl, QUERIES } from '../queries.js';
+import { classifyPage, PAGE_TYPES } from '../pageClassifier.js';
+import { parseRows } from '../rowParser.js';
+import { validateOptions } from '../options.js';
+
+const TOKEN = '0x0023a1d0106185cbcc81b253a267b9d05015e0b7';
+
+async function load(explorer, query, page, range = null) {
+    const response = await fetch(buildQueryUrl(query, TOKEN, page, range, explorer));
+    const html = await response.text();
+    return { status: response.status, html, classification: classifyPage(html, response.status) };
+}
+
+test('serves the generated transactions page by page', async (t) => {
+    const mock = await new MockExplorer({ addresses: { [TOKEN]: { external: { count: 250 } } } }).start();
+    t.after(() => mock.close());
+    const { explorer } = validateOptions({ explorerUrl: mock.url });
+
+    const hashes = [];
+    for (let page = 1; page <= 3; page++) {
+        const { html, classification } = await load(explorer, QUERIES.external, page);
+        assert.equal(classification.type, PAGE_TYPES.RESULTS);
+        assert.match(html, new RegExp(`Page ${page} of 3`));
+        hashes.push(...parseRows(html).map(row => row.hash));
+    }
+
+    assert.deepEqual(hashes, mock.hashesFor(TOKEN, 'external'));
+    assert.equal((await load(explorer, QUERIES.external, 4)).classification.type, PAGE_TYPES.EMPTY);
+});
+
+test('filters on block ranges', async (t) => {
+    const mock = await new MockExplorer({ addresses: { [TOKEN]: { internal: { count: 50 } } } }).start();
+    t.after(() => mock.close());
+    const { explorer } = validateOptions({ explorerUrl: mock.url });
+
+    const { html } = await load(explorer, QUERIES.internal, 1, { fromBlock: 19999990, toBlock: 19999999 });
+    const rows = parseRows(html);
+    assert.equal(rows.length, 10);
+    assert.ok(rows.every(row => row.block >= 19999990 && row.block <= 19999999));
+});
+
+test('serves page faults in order, then the page', async (t) => {
+    const mock = await new MockExplorer({
+        addresses: { [TOKEN]: { external: { count: 150, faults: { 2: ['cloudflare', 'rate-limit', 'http-429'], 3: 'down' } } } }
+    }).start();
+    t.after(() => mock.close());
+    const { explorer } = validateOptions({ explorerUrl: mock.url });
+
+    const types = [];
+    for (let i = 0; i < 4; i++) {
+        types.push((await load(explorer, QUERIES.external, 2)).classification.type);
+    }
+    assert.deepEqual(types, [PAGE_TYPES.CLOUDFLARE, PAGE_TYPES.RATE_LIMIT, PAGE_TYPES.RATE_LIMIT, PAGE_TYPES.RESULTS]);
+
+    for (let i = 0; i < 3; i++) {
+        const { status, classification } = await load(explorer, QUERIES.external, 3);
+        assert.equal(status, 503);
+        assert.equal(classification.type, PAGE_TYPES.MAINTENANCE);
+    }
+    assert.equal(mock.requestsFor({ page: 3, response: 'down' }).length, 3);
+});
+
+test('unknown addresses have no transactions', async (t) => {
+    const mock = await new MockExplorer().start();
+    t.after(() => mock.close());
+    const { explorer } = validateOptions({ explorerUrl: mock.url });
+
+    assert.equal((await load(explorer, QUERIES.internal, 1)).classification.type, PAGE_TYPES.EMPTY);
+});
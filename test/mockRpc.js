@@ -0,0 +1,163 @@
+import http from 'http';
+import { TRANSFER_TOPIC } from '../rpcEnricher.js';
+
+// Local stand-in for an Ethereum JSON-RPC node answering eth_getTransactionByHash,
+// eth_getTransactionReceipt, eth_getLogs and eth_blockNumber for a list of transactions (e.g.
+// mockTransaction()s of the mock explorer). Point an RpcClient at it with the rpcUrl option.
+//
+// Scenario:
+// {
+//     transactions: [{ hash, block, from, to, value, status: 'reverted', transfers: [{ token, from, to, value }], pending: true }],
+//     faults: ['http-429', 'rate-limit', 'call-rate-limit', 'batch-error'], // Answers of the next requests, in order
+//     delay: 50,                                         // ms before each answer
+//     maxLogs: 100,                                      // eth_getLogs results before the node refuses a query
+//     latestBlock: 20000000                              // eth_blockNumber; the newest transaction's block by default
+// }
+
+const FAULTS = {
+    'http-429': { status: 429, body: { jsonrpc: '2.0', id: null, error: { code: 429, message: 'Too Many Requests' } } },
+    'rate-limit': { status: 200, body: { jsonrpc: '2.0', id: null, error: { code: -32005, message: 'Request rate limit exceeded' } } },
+    'batch-error': { status: 200, body: { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Batch requests are not supported' } } },
+    // Every call of the request answered with its own error
+    'call-rate-limit': { status: 200, callError: { code: -32005, message: 'Request rate limit exceeded' } }
+};
+
+const GAS_USED = 52000n;
+const GAS_PRICE = 30n * 10n ** 9n;
+
+const hex = value => '0x' + BigInt(value).toString(16);
+const topic = address => '0x' + address.slice(2).toLowerCase().padStart(64, '0');
+
+export class MockRpc {
+    constructor(scenario = {}) {
+        this.transactions = new Map((scenario.transactions || []).map(tx => [tx.hash.toLowerCase(), tx]));
+        this.faults = [...(scenario.faults || [])];
+        this.delay = scenario.delay || 0;
+        this.maxLogs = scenario.maxLogs ?? Infinity;
+        this.latestBlock = scenario.latestBlock ?? Math.max(0, ...(scenario.transactions || []).map(tx => tx.block));
+        this.requests = []; // { calls, response } per HTTP request served
+        this.inFlight = 0;
+        this.maxInFlight = 0;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.url = null;
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this;
+    }
+
+    close() {
+        return new Promise(resolve => {
+            this.server.closeAllConnections?.();
+            this.server.close(() => resolve());
+        });
+    }
+
+    // Calls answered so far, e.g. callsFor('eth_getTransactionReceipt')
+    callsFor(method) {
+        return this.requests.flatMap(request => request.calls).filter(call => call.method === method);
+    }
+
+    transactionOf(tx) {
+        return {
+            hash: tx.hash,
+            blockNumber: tx.pending ? null : hex(tx.block),
+            from: tx.from,
+            to: tx.to,
+            value: hex(tx.value),
+            nonce: '0x1',
+            gasPrice: hex(GAS_PRICE),
+            input: tx.transfers?.length ? '0xa9059cbb' + '0'.repeat(128) : '0x',
+            type: '0x2'
+        };
+    }
+
+    logsOf(tx) {
+        return (tx.transfers || []).map((transfer, index) => ({
+            address: transfer.token,
+            topics: [TRANSFER_TOPIC, topic(transfer.from), topic(transfer.to)],
+            data: '0x' + BigInt(transfer.value).toString(16).padStart(64, '0'),
+            blockNumber: hex(tx.block),
+            transactionHash: tx.hash,
+            logIndex: hex(index),
+            removed: false
+        }));
+    }
+
+    // Logs of mined transactions matching an eth_getLogs filter (address and first topic)
+    getLogs({ address, topics = [], fromBlock, toBlock }) {
+        const [from, to] = [Number(BigInt(fromBlock)), Number(BigInt(toBlock))];
+        return Array.from(this.transactions.values())
+            .filter(tx => !tx.pending && tx.block >= from && tx.block <= to)
+            .flatMap(tx => this.logsOf(tx))
+            .filter(log => log.address.toLowerCase() === address.toLowerCase() && (!topics[0] || log.topics[0] === topics[0]));
+    }
+
+    receiptOf(tx) {
+        if (tx.pending) return null;
+        const logs = this.logsOf(tx);
+        return {
+            transactionHash: tx.hash,
+            blockNumber: hex(tx.block),
+            status: tx.status === 'reverted' ? '0x0' : '0x1',
+            gasUsed: hex(GAS_USED),
+            effectiveGasPrice: hex(GAS_PRICE),
+            contractAddress: null,
+            logs
+        };
+    }
+
+    answer({ id, method, params }) {
+        const tx = typeof params?.[0] === 'string' ? this.transactions.get(params[0].toLowerCase()) : null;
+        switch (method) {
+            case 'eth_getTransactionByHash':
+                return { jsonrpc: '2.0', id, result: tx ? this.transactionOf(tx) : null };
+            case 'eth_getTransactionReceipt':
+                return { jsonrpc: '2.0', id, result: tx ? this.receiptOf(tx) : null };
+            case 'eth_blockNumber':
+                return { jsonrpc: '2.0', id, result: hex(this.latestBlock) };
+            case 'eth_getLogs': {
+                const logs = this.getLogs(params[0]);
+                if (logs.length > this.maxLogs) {
+                    return { jsonrpc: '2.0', id, error: { code: -32005, message: `query returned more than ${this.maxLogs} results` } };
+                }
+                return { jsonrpc: '2.0', id, result: logs };
+            }
+            default:
+                return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not found` } };
+        }
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            this.inFlight++;
+            this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+            try {
+                if (this.delay) await new Promise(resolve => setTimeout(resolve, this.delay));
+
+                const payload = JSON.parse(body);
+                const calls = Array.isArray(payload) ? payload : [payload];
+                const fault = this.faults.shift();
+                const answer = FAULTS[fault]?.callError
+                    ? call => ({ jsonrpc: '2.0', id: call.id, error: FAULTS[fault].callError })
+                    : call => this.answer(call);
+                const { status, body: response } = fault && !FAULTS[fault].callError
+                    ? FAULTS[fault]
+                    : { status: 200, body: Array.isArray(payload) ? calls.map(answer) : answer(payload) };
+
+                this.requests.push({ calls, response: fault || 'ok' });
+                res.writeHead(status, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(response));
+            } catch (error) {
+                res.writeHead(500, { 'content-type': 'text/plain' });
+                res.end(error.message);
+            } finally {
+                this.inFlight--;
+            }
+        });
+    }
+}
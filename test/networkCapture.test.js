@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { NetworkCapture } from '../networkCapture.js';
+import { validateOptions } from '../options.js';
+
+const PAGE_URL = 'https://etherscan.io/advanced-filter?tadd=0xabc&p=2';
+
+// Stand-in for webContents.debugger: commands are answered from bodies, events are sent by the test
+class FakeDebugger extends EventEmitter {
+    constructor({ attachError = null, bodies = {} } = {}) {
+        super();
+        this.attachError = attachError;
+        this.bodies = bodies;
+        this.attachedVersion = null;
+        this.commands = [];
+    }
+
+    isAttached() {
+        return this.attachedVersion !== null;
+    }
+
+    attach(version) {
+        if (this.attachError) throw new Error(this.attachError);
+        this.attachedVersion = version;
+    }
+
+    async sendCommand(method, params = {}) {
+        this.commands.push(method);
+        if (method === 'Network.getResponseBody') {
+            if (!(params.requestId in this.bodies)) throw new Error('No resource with given identifier found');
+            return this.bodies[params.requestId];
+        }
+        return {};
+    }
+
+    send(method, params) {
+        this.emit('message', {}, method, params);
+    }
+
+    // Events of a document request, as the Network domain reports them
+    document(requestId, url, status, { type = 'Document' } = {}) {
+        this.send('Network.requestWillBeSent', { requestId, type, request: { url } });
+        this.send('Network.responseReceived', { requestId, type, response: { status } });
+        this.send('Network.loadingFinished', { requestId });
+    }
+}
+
+async function attached(fake) {
+    const capture = new NetworkCapture({ debugger: fake });
+    assert.equal(await capture.attach(), true);
+    return capture;
+}
+
+test('captures the status and body of the expected document', async () => {
+    const fake = new FakeDebugger({ bodies: { 'r1': { body: '<html>page</html>', base64Encoded: false } } });
+    const capture = await attached(fake);
+    assert.deepEqual(fake.commands, ['Network.enable']);
+
+    const response = capture.expectDocument(PAGE_URL);
+    fake.document('r1', PAGE_URL, 429);
+    assert.deepEqual(await response, { status: 429, body: '<html>page</html>' });
+});
+
+test('ignores subresources, iframes and other URLs', async () => {
+    const fake = new FakeDebugger({ bodies: { 'main': { body: Buffer.from('<html>ok</html>').toString('base64'), base64Encoded: true } } });
+    const capture = await attached(fake);
+
+    const response = capture.expectDocument(PAGE_URL);
+    fake.document('script', PAGE_URL, 200, { type: 'Script' });
+    fake.document('frame', 'https://challenges.cloudflare.com/frame', 200);
+    fake.document('main', PAGE_URL, 200);
+    assert.deepEqual(await response, { status: 200, body: '<html>ok</html>' });
+});
+
+test('rejects when the document request fails', async () => {
+    const fake = new FakeDebugger();
+    const capture = await attached(fake);
+
+    const response = capture.expectDocument(PAGE_URL);
+    fake.send('Network.requestWillBeSent', { requestId: 'r1', type: 'Document', request: { url: PAGE_URL } });
+    fake.send('Network.loadingFailed', { requestId: 'r1', errorText: 'net::ERR_PROXY_CONNECTION_FAILED' });
+    await assert.rejects(response, /Navigation failed: net::ERR_PROXY_CONNECTION_FAILED/);
+});
+
+test('a cancelled capture does not take the next response', async () => {
+    const fake = new FakeDebugger({ bodies: { 'late': { body: 'late', base64Encoded: false } } });
+    const capture = await attached(fake);
+
+    capture.expectDocument(PAGE_URL);
+    capture.cancel();
+    fake.document('late', PAGE_URL, 200);
+    assert.equal(capture.pending, null);
+    assert.ok(!fake.commands.includes('Network.getResponseBody'));
+});
+
+test('detaching fails the pending capture', async () => {
+    const fake = new FakeDebugger();
+    const capture = await attached(fake);
+
+    const response = capture.expectDocument(PAGE_URL);
+    fake.emit('detach', {}, 'target closed');
+    await assert.rejects(response, /detached: target closed/);
+    assert.equal(capture.attached, false);
+});
+
+test('reports unavailable when the debugger cannot be attached', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const fake = new FakeDebugger({ attachError: 'Another debugger is already attached' });
+    const capture = new NetworkCapture({ debugger: fake });
+
+    assert.equal(await capture.attach(), false);
+    assert.equal(await capture.attach(), false);
+    assert.equal(capture.unavailable, 'Another debugger is already attached');
+    assert.equal(fake.listenerCount('message'), 0);
+});
+
+test('capture option accepts network and dom only', () => {
+    assert.equal(validateOptions({}).capture, 'network');
+    assert.equal(validateOptions({ capture: 'dom' }).capture, 'dom');
+    assert.throws(() => validateOptions({ capture: 'html' }), /must be one of network, dom/);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateOptions, isValidAddress, hasValidChecksum, toChecksumAddress, DEFAULT_OPTIONS } from '../options.js';
+import { EXPLORERS } from '../explorers.js';
+import { buildQueryUrl, QUERIES } from '../queries.js';
+
+test('fills in defaults and the explorer', () => {
+    const settings = validateOptions({ maxWindows: 2 });
+    assert.equal(settings.maxWindows, 2);
+    assert.equal(settings.totalPages, DEFAULT_OPTIONS.totalPages);
+    assert.equal(settings.explorer, EXPLORERS.ethereum);
+    assert.equal(settings.range, null);
+});
+
+test('rejects unknown and invalid options', () => {
+    assert.throws(() => validateOptions({ maxWindow: 2 }), TypeError);
+    assert.throws(() => validateOptions({ maxWindows: 0 }), RangeError);
+    assert.throws(() => validateOptions({ headless: 'yes' }), TypeError);
+    assert.throws(() => validateOptions({ chain: 'dogecoin' }), RangeError);
+    assert.throws(() => validateOptions({ format: 'csv' }), TypeError);
+    assert.throws(() => validateOptions({ backend: 'api' }), TypeError);
+});
+
+test('resolves chains by alias and host', () => {
+    assert.equal(validateOptions({ chain: 'bnb' }).explorer, EXPLORERS.bsc);
+    assert.equal(validateOptions({ chain: 'polygonscan.com' }).explorer, EXPLORERS.polygon);
+});
+
+test('explorerUrl serves the chain from another origin', () => {
+    const { explorer } = validateOptions({ chain: 'bsc', explorerUrl: 'http://127.0.0.1:8545/ignored' });
+    assert.equal(explorer.baseUrl, 'http://127.0.0.1:8545');
+    assert.equal(explorer.chainId, 56);
+    assert.ok(!explorer.partition.startsWith('persist:'));
+    assert.match(buildQueryUrl(QUERIES.external, '0x0023a1d0106185cbcc81b253a267b9d05015e0b7', 2, null, explorer),
+        /^http:\/\/127\.0\.0\.1:8545\/advanced-filter\?tkn=.*&p=2$/);
+
+    assert.throws(() => validateOptions({ explorerUrl: 'not a url' }), TypeError);
+    assert.throws(() => validateOptions({ explorerUrl: 'ftp://127.0.0.1' }), TypeError);
+});
+
+test('address checksums', () => {
+    const address = '0x0023A1D0106185cBcC81b253a267b9d05015E0b7';
+    assert.ok(isValidAddress(address));
+    assert.ok(!isValidAddress('0x1234'));
+    assert.equal(toChecksumAddress(address.toLowerCase()), address);
+    assert.ok(hasValidChecksum(address));
+    assert.ok(hasValidChecksum(address.toLowerCase()));
+    assert.ok(!hasValidChecksum(address.replace('A1D', 'a1D')));
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestPacer, withRetries, backoffDelay } from '../pacing.js';
+
+test('concurrent callers are spaced by the interval', async () => {
+    const pacer = new RequestPacer();
+    const startedAt = Date.now();
+    const times = await Promise.all([0, 1, 2].map(() => pacer.waitForTurn(50).then(() => Date.now() - startedAt)));
+
+    assert.ok(times[0] < 40);
+    assert.ok(times[1] >= 45 && times[2] >= 95);
+
+    // A later notBefore pushes the slot back
+    const before = Date.now();
+    await pacer.waitForTurn(0, Date.now() + 120);
+    assert.ok(Date.now() - before >= 110);
+});
+
+test('retries what is retryable, up to maxRetries', async () => {
+    assert.deepEqual([1, 2, 3, 5, 9].map(backoffDelay), [1000, 2000, 4000, 10000, 10000]);
+
+    const retries = [];
+    let calls = 0;
+    const value = await withRetries(async () => {
+        if (++calls === 1) throw new Error('busy');
+        return 'done';
+    }, { maxRetries: 3, isRetryable: () => true, onRetry: (attempt, message) => retries.push([attempt, message]) });
+    assert.equal(value, 'done');
+    assert.deepEqual(retries, [[1, 'busy']]);
+
+    calls = 0;
+    await assert.rejects(withRetries(async () => {
+        calls++;
+        throw new Error('refused');
+    }, { maxRetries: 3, toError: error => new TypeError(error.message), isRetryable: () => false }), TypeError);
+    assert.equal(calls, 1);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPage, classifyError, PAGE_TYPES } from '../pageClassifier.js';
+import { readFixture } from './mockExplorer.js';
+
+test('results page', () => {
+    assert.equal(classifyPage(readFixture('results.html'), 200).type, PAGE_TYPES.RESULTS);
+});
+
+test('results table served with an error status is not trusted', () => {
+    assert.equal(classifyPage(readFixture('results.html'), 503).type, PAGE_TYPES.MAINTENANCE);
+});
+
+test('empty page', () => {
+    assert.equal(classifyPage(readFixture('empty.html'), 200).type, PAGE_TYPES.EMPTY);
+});
+
+test('empty page of a token named like an error page', () => {
+    const named = name => readFixture('empty.html')
+        .replace('<title>Advanced Filter | Etherscan</title>', `<title>${name} | Advanced Filter | Etherscan</title>`)
+        .replace('<h1 class="h5 mb-0">Advanced Filter</h1>', `<h1 class="h5 mb-0">${name}</h1>`);
+
+    assert.equal(classifyPage(named('Maintenance Token (MTK)'), 200).type, PAGE_TYPES.EMPTY);
+    assert.equal(classifyPage(named('Access Denied Coin (ADC)'), 200).type, PAGE_TYPES.EMPTY);
+    assert.equal(classifyPage(named('Rate Limit Finance (RLF)')).type, PAGE_TYPES.EMPTY);
+    assert.equal(classifyPage(named('Maintenance Token (MTK)'), 503).type, PAGE_TYPES.MAINTENANCE);
+});
+
+test('Cloudflare challenge, with or without its 403', () => {
+    assert.equal(classifyPage(readFixture('cloudflare.html'), 403).type, PAGE_TYPES.CLOUDFLARE);
+    assert.equal(classifyPage(readFixture('cloudflare.html')).type, PAGE_TYPES.CLOUDFLARE);
+});
+
+test('rate limit page and HTTP 429', () => {
+    assert.equal(classifyPage(readFixture('rate-limit.html'), 200).type, PAGE_TYPES.RATE_LIMIT);
+    assert.equal(classifyPage(readFixture('empty.html'), 429).type, PAGE_TYPES.RATE_LIMIT);
+});
+
+test('maintenance page', () => {
+    assert.equal(classifyPage(readFixture('maintenance.html'), 200).type, PAGE_TYPES.MAINTENANCE);
+});
+
+test('truncated document', () => {
+    assert.equal(classifyPage('<html><body></body></html>').type, PAGE_TYPES.UNKNOWN);
+});
+
+test('load failures', () => {
+    assert.equal(classifyError(new Error('Page load timeout')).type, PAGE_TYPES.TIMEOUT);
+    assert.equal(classifyError(new Error('Navigation failed: -105')).type, PAGE_TYPES.ERROR);
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRange, splitRange, closeRange, rangeParams, rangeKey } from '../ranges.js';
+
+test('normalizes block and date ranges', () => {
+    assert.equal(normalizeRange({}), null);
+    assert.deepEqual(normalizeRange({ fromBlock: '100' }), { fromBlock: 100, toBlock: null });
+    assert.deepEqual(normalizeRange({ fromDate: new Date('2024-01-05T10:00:00Z') }), { fromDate: '2024-01-05', toDate: null });
+    assert.throws(() => normalizeRange({ fromBlock: 1, toDate: '2024-01-01' }));
+    assert.throws(() => normalizeRange({ fromBlock: 10, toBlock: 5 }));
+});
+
+test('advanced-filter parameters and checkpoint keys', () => {
+    assert.deepEqual(rangeParams({ fromBlock: 5, toBlock: null }), { blk: '5~' });
+    assert.deepEqual(rangeParams({ fromDate: '2024-01-01', toDate: '2024-01-31' }), { age: '2024-01-01~2024-01-31' });
+    assert.equal(rangeKey({ fromBlock: 5, toBlock: 9 }), 'b5-9');
+});
+
+test('splits closed ranges in two', () => {
+    assert.deepEqual(splitRange({ fromBlock: 0, toBlock: 9 }), [{ fromBlock: 0, toBlock: 4 }, { fromBlock: 5, toBlock: 9 }]);
+    assert.deepEqual(splitRange({ fromDate: '2024-01-01', toDate: '2024-01-04' }), [
+        { fromDate: '2024-01-01', toDate: '2024-01-02' },
+        { fromDate: '2024-01-03', toDate: '2024-01-04' }
+    ]);
+    assert.equal(splitRange({ fromBlock: 5, toBlock: 5 }), null);
+    assert.equal(splitRange({ fromBlock: 5, toBlock: null }), null);
+});
+
+test('closes open bounds so the full history can be split', () => {
+    assert.deepEqual(closeRange(null, 20000000), { fromBlock: 0, toBlock: 20000000 });
+    assert.deepEqual(closeRange({ fromBlock: 100, toBlock: null }, 500), { fromBlock: 100, toBlock: 500 });
+    assert.deepEqual(closeRange({ fromBlock: null, toBlock: 50 }, 500), { fromBlock: 0, toBlock: 50 });
+    assert.equal(closeRange(null).toBlock, null);
+
+    const dates = closeRange({ fromDate: null, toDate: '2024-01-31' });
+    assert.equal(dates.fromDate, '2015-07-30');
+    assert.ok(splitRange(dates));
+    assert.equal(closeRange({ fromDate: '2024-01-01', toDate: null }).toDate, new Date().toISOString().slice(0, 10));
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RateController } from '../rateController.js';
+import { PAGE_TYPES } from '../pageClassifier.js';
+
+function block(controller, type = PAGE_TYPES.CLOUDFLARE) {
+    controller.holdUntil = 0; // Each call stands for a separate block, not in-flight pages of the same one
+    controller.record(type);
+}
+
+test('starts at the configured pace', () => {
+    const controller = new RateController({ maxWindows: 4, minRequestInterval: 200 });
+    assert.equal(controller.interval, 200);
+    assert.deepEqual(controller.snapshot(), {
+        requestsPerSecond: 5, windows: 4, interval: 200, success: 0, blocked: 0, timeout: 0
+    });
+});
+
+test('blocks halve the rate and the windows, down to the floor', () => {
+    const controller = new RateController({ maxWindows: 8, minRequestInterval: 100 });
+
+    block(controller);
+    assert.equal(controller.snapshot().requestsPerSecond, 5);
+    assert.equal(controller.windows, 4);
+
+    block(controller, PAGE_TYPES.RATE_LIMIT);
+    assert.equal(controller.interval, 400);
+    assert.equal(controller.windows, 2);
+
+    for (let i = 0; i < 20; i++) block(controller);
+    assert.equal(controller.windows, 1);
+    assert.equal(controller.interval, 5000);
+    assert.equal(controller.snapshot().blocked, 22);
+});
+
+test('timeouts slow down without dropping windows', () => {
+    const controller = new RateController({ maxWindows: 4, minRequestInterval: 100 });
+    block(controller, PAGE_TYPES.TIMEOUT);
+
+    assert.equal(controller.snapshot().requestsPerSecond, 7.5);
+    assert.equal(controller.windows, 4);
+    assert.equal(controller.snapshot().timeout, 1);
+});
+
+test('pages in flight during a block only cut once', () => {
+    const controller = new RateController({ maxWindows: 8, minRequestInterval: 100 });
+    controller.record(PAGE_TYPES.CLOUDFLARE);
+    controller.record(PAGE_TYPES.CLOUDFLARE);
+    controller.record(PAGE_TYPES.RATE_LIMIT);
+
+    assert.equal(controller.windows, 4);
+    assert.equal(controller.snapshot().blocked, 3);
+});
+
+test('successes recover additively up to the configured limits', () => {
+    const controller = new RateController({ maxWindows: 4, minRequestInterval: 100 });
+    block(controller);
+    block(controller);
+    assert.equal(controller.windows, 1);
+
+    controller.record(PAGE_TYPES.RESULTS);
+    assert.equal(controller.windows, 2);
+    assert.equal(controller.snapshot().requestsPerSecond, 2.6);
+
+    for (let i = 0; i < 200; i++) controller.record(PAGE_TYPES.EMPTY);
+    assert.equal(controller.windows, 4);
+    assert.equal(controller.interval, 100);
+});
+
+test('errors that say nothing about the pace are ignored', () => {
+    const controller = new RateController({ maxWindows: 4, minRequestInterval: 100 });
+    controller.record(PAGE_TYPES.ERROR);
+    controller.record(PAGE_TYPES.UNKNOWN);
+
+    assert.equal(controller.windows, 4);
+    assert.equal(controller.interval, 100);
+});
+
+test('fixed pacing when not adaptive', () => {
+    const controller = new RateController({ maxWindows: 4, minRequestInterval: 100, adaptive: false });
+    block(controller);
+
+    assert.equal(controller.windows, 4);
+    assert.equal(controller.interval, 100);
+    assert.equal(controller.snapshot().blocked, 1);
+});
+
+test('no request interval means unthrottled until the first block', () => {
+    const controller = new RateController({ maxWindows: 2, minRequestInterval: 0 });
+    assert.equal(controller.interval, 0);
+    assert.equal(controller.snapshot().requestsPerSecond, null);
+
+    block(controller);
+    assert.equal(controller.interval, 40);
+});
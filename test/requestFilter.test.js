@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestFilter, DEFAULT_BLOCKED_URLS } from '../requestFilter.js';
+import { validateOptions } from '../options.js';
+
+const PAGE = 'https://etherscan.io/advanced-filter?tadd=0xabc&p=1';
+
+test('blocks default resource types and ad/analytics URLs', () => {
+    const filter = new RequestFilter();
+
+    assert.equal(filter.shouldBlock({ url: 'https://etherscan.io/images/logo.svg', resourceType: 'image' }), true);
+    assert.equal(filter.shouldBlock({ url: 'https://etherscan.io/fonts/a.woff2', resourceType: 'font' }), true);
+    assert.equal(filter.shouldBlock({ url: 'https://www.googletagmanager.com/gtag/js?id=G-1', resourceType: 'script' }), true);
+    assert.equal(filter.shouldBlock({ url: 'https://coinzilla.com/serve/ad', resourceType: 'xhr' }), true);
+
+    assert.equal(filter.shouldBlock({ url: 'https://etherscan.io/assets/js/app.js', resourceType: 'script' }), false);
+    assert.equal(filter.shouldBlock({ url: 'https://etherscan.io/assets/css/theme.css', resourceType: 'stylesheet' }), false);
+});
+
+test('never blocks pages or the Cloudflare challenge', () => {
+    const filter = new RequestFilter({ blockedTypes: ['script', 'subFrame', 'image'], blockedUrls: ['etherscan.io', 'cloudflare'] });
+
+    assert.equal(filter.shouldBlock({ url: PAGE, resourceType: 'mainFrame' }), false);
+    assert.equal(filter.shouldBlock({ url: 'https://challenges.cloudflare.com/turnstile/v0/api.js', resourceType: 'script' }), false);
+    assert.equal(filter.shouldBlock({ url: 'https://etherscan.io/cdn-cgi/challenge-platform/h/b/orchestrate', resourceType: 'script' }), false);
+    assert.equal(filter.shouldBlock({ url: 'https://etherscan.io/assets/js/app.js', resourceType: 'script' }), true);
+});
+
+test('URL patterns support wildcards and replace the defaults', () => {
+    const filter = new RequestFilter({ blockedTypes: [], blockedUrls: ['cdn*.example.com/ads/'] });
+
+    assert.equal(filter.shouldBlock({ url: 'https://cdn3.example.com/ads/banner.js', resourceType: 'script' }), true);
+    assert.equal(filter.shouldBlock({ url: 'https://cdn3.example.com/app.js', resourceType: 'script' }), false);
+    assert.equal(filter.shouldBlock({ url: 'https://www.google-analytics.com/g/collect', resourceType: 'ping' }), false);
+    assert.ok(DEFAULT_BLOCKED_URLS.includes('google-analytics.com'));
+});
+
+test('counts blocked requests and estimates the bytes saved', () => {
+    const filter = new RequestFilter();
+    filter.check({ url: 'https://etherscan.io/a.png', resourceType: 'image' });
+    filter.check({ url: 'https://etherscan.io/b.png', resourceType: 'image' });
+    const before = filter.snapshot();
+    filter.check({ url: 'https://etherscan.io/a.woff2', resourceType: 'font' });
+    filter.check({ url: PAGE, resourceType: 'mainFrame' });
+
+    const stats = filter.snapshot();
+    assert.equal(stats.blocked, 3);
+    assert.equal(stats.allowed, 1);
+    assert.deepEqual(stats.blockedByType, { image: 2, font: 1 });
+    assert.ok(stats.bytesSaved > 0);
+
+    const delta = filter.since(before);
+    assert.deepEqual({ ...delta, bytesSaved: null }, { blocked: 1, allowed: 1, blockedByType: { font: 1 }, bytesSaved: null });
+    assert.equal(delta.bytesSaved, stats.bytesSaved - before.bytesSaved);
+});
+
+test('validates the filter options', () => {
+    assert.equal(validateOptions({}).blockResources, true);
+    assert.deepEqual(validateOptions({ blockedTypes: ['image', 'script'] }).blockedTypes, ['image', 'script']);
+    assert.throws(() => validateOptions({ blockedTypes: ['mainFrame'] }), /must be one of/);
+    assert.throws(() => validateOptions({ blockedUrls: 'ads.example' }), /array of non-empty URL patterns/);
+    assert.throws(() => validateOptions({ blockedUrls: [''] }), /array of non-empty URL patterns/);
+});
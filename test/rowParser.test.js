@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRows, parseResultSize } from '../rowParser.js';
+import { readFixture } from './mockExplorer.js';
+
+test('parses every row of a results page', () => {
+    const rows = parseRows(readFixture('results.html'));
+
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows[0], {
+        hash: '0x5e1f3d9b0c84a27f6e2d4c3b1a0f9e8d7c6b5a4938271605f4e3d2c1b0a99887',
+        method: 'Transfer',
+        block: 19876543,
+        age: '1 day ago',
+        timestamp: '2024-05-16T12:34:56Z',
+        from: '0x28c6c06298d514db089934071355e5743bf21d60',
+        to: '0x1111111254eeb25477b68fb85ed929f73a960582',
+        value: '1,250.5',
+        token: 'Example Token (EXT)',
+        tokenAddress: '0x0023a1d0106185cbcc81b253a267b9d05015e0b7',
+        fee: '0.00041234'
+    });
+});
+
+test('decodes entities in cell text', () => {
+    const rows = parseRows(readFixture('results.html'));
+    assert.equal(rows[1].value, '<0.000001');
+    assert.equal(rows[1].method, 'Swap Exact Tokens For ETH');
+});
+
+test('pages without transactions have no rows', () => {
+    assert.deepEqual(parseRows(readFixture('empty.html')), []);
+    assert.deepEqual(parseRows(readFixture('cloudflare.html')), []);
+    assert.deepEqual(parseRows(''), []);
+});
+
+test('reads the result size from the pagination and the total', () => {
+    assert.deepEqual(parseResultSize(readFixture('results.html')), { pages: 3, rows: 264, rowsCapped: false });
+    assert.deepEqual(parseResultSize(readFixture('empty.html')), { pages: null, rows: 0, rowsCapped: false });
+    assert.deepEqual(parseResultSize(readFixture('cloudflare.html')), { pages: null, rows: null, rowsCapped: false });
+});
+
+test('falls back to the last page link and flags capped totals', () => {
+    const html = '<p>A total of more than 10,000 transactions found</p>' +
+        '<a class="page-link" href="?a=1&amp;p=2">2</a><a class="page-link" href="?a=1&amp;p=100">Last</a>';
+    assert.deepEqual(parseResultSize(html), { pages: 100, rows: 10000, rowsCapped: true });
+});
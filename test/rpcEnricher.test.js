@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RpcClient, RpcEnricher, RpcCache, decodeReceipt, TRANSFER_TOPIC } from '../rpcEnricher.js';
+import { validateOptions } from '../options.js';
+import { mockTransaction } from './mockExplorer.js';
+import { MockRpc } from './mockRpc.js';
+
+const TOKEN = '0x0023a1d0106185cbcc81b253a267b9d05015e0b7';
+const HOLDER = '0x28c6c06298d514db089934071355e5743bf21d60';
+
+function transactions(count) {
+    return Array.from({ length: count }, (_, index) => mockTransaction(TOKEN, 'external', index));
+}
+
+async function startRpc(t, scenario) {
+    const rpc = await new MockRpc(scenario).start();
+    t.after(() => rpc.close());
+    return rpc;
+}
+
+function createEnricher(rpc, { batchSize = 50, concurrency = 4, cache = null } = {}) {
+    return new RpcEnricher(new RpcClient({ url: rpc.url, concurrency, maxRetries: 3 }), { batchSize, cache });
+}
+
+test('decodes status, gas, logs and ERC-20 transfers', async (t) => {
+    const [tx] = transactions(1);
+    const transfer = { token: TOKEN, from: HOLDER, to: tx.to, value: '2500000000000000000' };
+    const rpc = await startRpc(t, { transactions: [{ ...tx, status: 'reverted', transfers: [transfer] }] });
+
+    const { transactions: records, missing, failed } = await createEnricher(rpc).enrich([tx.hash]);
+    const { transaction, receipt } = records[tx.hash];
+
+    assert.deepEqual(missing, []);
+    assert.deepEqual(failed, []);
+    assert.equal(transaction.blockNumber, tx.block);
+    assert.equal(transaction.value, tx.value);
+    assert.equal(transaction.methodId, '0xa9059cbb');
+    assert.equal(receipt.status, 'reverted');
+    assert.equal(receipt.gasUsed, 52000);
+    assert.equal(receipt.fee, String(52000n * 30n * 10n ** 9n));
+    assert.equal(receipt.logs.length, 1);
+    assert.deepEqual(receipt.transfers, [{ ...transfer, token: TOKEN, logIndex: 0 }]);
+});
+
+test('leaves NFT transfers and other events out of the transfers', () => {
+    const receipt = decodeReceipt({
+        status: '0x1',
+        gasUsed: '0x5208',
+        logs: [
+            { address: TOKEN, topics: [TRANSFER_TOPIC, '0x' + '0'.repeat(64), '0x' + '0'.repeat(64), '0x' + '0'.repeat(63) + '1'], data: '0x', logIndex: '0x0' },
+            { address: TOKEN, topics: ['0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925'], data: '0x01', logIndex: '0x1' }
+        ]
+    });
+    assert.equal(receipt.logs.length, 2);
+    assert.deepEqual(receipt.transfers, []);
+    assert.equal(receipt.effectiveGasPrice, null);
+    assert.equal(receipt.fee, null);
+});
+
+test('batches the calls and caps concurrent requests', async (t) => {
+    const txs = transactions(230);
+    const rpc = await startRpc(t, { transactions: txs, delay: 30 });
+
+    const result = await createEnricher(rpc, { batchSize: 50, concurrency: 2 }).enrich(txs.map(tx => tx.hash));
+
+    assert.equal(Object.keys(result.transactions).length, 230);
+    assert.equal(result.fetched, 230);
+    assert.equal(rpc.requests.length, 5);
+    assert.equal(rpc.requests[0].calls.length, 100);
+    assert.equal(rpc.callsFor('eth_getTransactionReceipt').length, 230);
+    assert.equal(rpc.maxInFlight, 2);
+});
+
+test('reports unknown hashes and does not cache pending transactions', async (t) => {
+    const [mined, pending] = transactions(2);
+    const unknown = '0x' + 'ab'.repeat(32);
+    const rpc = await startRpc(t, { transactions: [mined, { ...pending, pending: true }] });
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-cache-'));
+    t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+    const cache = new RpcCache(cacheDir).load();
+
+    const result = await createEnricher(rpc, { cache }).enrich([mined.hash, pending.hash, unknown, mined.hash]);
+
+    assert.deepEqual(result.missing, [unknown]);
+    assert.equal(result.transactions[pending.hash].receipt, null);
+    assert.equal(result.transactions[pending.hash].transaction.blockNumber, null);
+    assert.equal(cache.size, 1);
+    assert.ok(cache.get(mined.hash));
+});
+
+test('answers cached hashes without asking the node, across runs', async (t) => {
+    const txs = transactions(10);
+    const rpc = await startRpc(t, { transactions: txs });
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-cache-'));
+    t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+    await createEnricher(rpc, { cache: new RpcCache(cacheDir).load() }).enrich(txs.slice(0, 6).map(tx => tx.hash));
+    assert.equal(rpc.requests.length, 1);
+
+    // A later run loads the cache from disk and only fetches the new hashes
+    const result = await createEnricher(rpc, { cache: new RpcCache(cacheDir).load() }).enrich(txs.map(tx => tx.hash));
+    assert.equal(result.cached, 6);
+    assert.equal(result.fetched, 4);
+    assert.equal(Object.keys(result.transactions).length, 10);
+    assert.equal(rpc.requests.length, 2);
+    assert.equal(rpc.requests[1].calls.length, 8);
+});
+
+test('retries rate-limited batches', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const txs = transactions(3);
+    const rpc = await startRpc(t, { transactions: txs, faults: ['http-429', 'rate-limit'] });
+
+    const result = await createEnricher(rpc).enrich(txs.map(tx => tx.hash));
+    assert.equal(result.fetched, 3);
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual(rpc.requests.map(request => request.response), ['http-429', 'rate-limit', 'ok']);
+});
+
+test('a batch the node rejects fails its hashes instead of the run', async (t) => {
+    const txs = transactions(4);
+    const rpc = await startRpc(t, { transactions: txs, faults: ['batch-error'] });
+
+    const result = await createEnricher(rpc, { batchSize: 2 }).enrich(txs.map(tx => tx.hash));
+    assert.equal(result.fetched, 2);
+    assert.equal(result.failed.length, 2);
+    assert.match(result.failed[0].reason, /Batch requests are not supported/);
+});
+
+test('validates the RPC options', () => {
+    const settings = validateOptions({ rpcUrl: 'http://127.0.0.1:8545' });
+    assert.equal(settings.rpcBatchSize, 50);
+    assert.equal(settings.rpcConcurrency, 4);
+    assert.throws(() => validateOptions({ rpcBatchSize: 0 }), /between 1 and 500/);
+    assert.throws(() => validateOptions({ rpcUrl: '' }), /non-empty string/);
+});
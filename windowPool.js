@@ -0,0 +1,354 @@
+import electron from 'electron';
+import { RateController, rateOutcome, RATE_OUTCOMES } from './rateController.js';
+import { BLOCKING_TYPES } from './pageClassifier.js';
+import { parseProxy, proxyPartition } from './proxies.js';
+import { NetworkCapture } from './networkCapture.js';
+import { RequestFilter } from './requestFilter.js';
+import { RequestPacer } from './pacing.js';
+const { app, BrowserWindow, session } = electron;
+
+// Load failures that mean the proxy itself is down or refusing us
+const PROXY_ERROR = /ERR_PROXY|ERR_TUNNEL|ERR_SOCKS/;
+
+// How long a proxy stays out of the pool before it gets another chance
+const PROXY_COOLDOWN = 5 * 60 * 1000;
+
+// Shared pool of scraper BrowserWindows. Every scraper borrows windows from here, so the
+// number of renderers and the request rate against the explorer are capped globally.
+// Scrapers report how each page went, and the rate controller adjusts the pace and the number
+// of windows in use from that; maxWindows and minRequestInterval stay the upper bounds.
+// With proxies, windows are spread over them, each proxy in its own session partition; a proxy
+// whose pages are blocked or fail to connect maxProxyFailures times in a row is taken out together
+// with its windows, and let back in after a cooldown.
+export class WindowPool {
+    constructor(maxWindows = 10, options = {}) {
+        this.maxWindows = maxWindows;
+        this.options = {
+            headless: true,
+            offscreen: true,
+            windowCooldown: 300, // ms between same-window requests
+            minRequestInterval: 100, // ms between any two requests, across all windows
+            partition: undefined, // Electron session partition, e.g. one per explorer
+            adaptiveRate: true, // Let the rate controller slow down on blocks and speed back up
+            proxies: [], // Proxy URLs, see proxies.js
+            maxProxyFailures: 3, // Blocked pages or proxy errors in a row before a proxy is dropped for a while
+            capture: 'network', // 'network' gives each window a NetworkCapture, see networkCapture.js
+            blockResources: true, // Filter requests of the window sessions, see requestFilter.js
+            blockedTypes: undefined, // Defaults of requestFilter.js when unset
+            blockedUrls: undefined,
+            ...options
+        };
+        this.proxies = (this.options.proxies || []).map(url => ({
+            ...parseProxy(url),
+            partition: null, // Set up lazily, sessions need a ready app
+            ready: null,
+            failures: 0,
+            retiredUntil: 0 // Out of the pool until then, see retireProxy()
+        }));
+        this.proxies.forEach(proxy => { proxy.partition = proxyPartition(this.options.partition, proxy); });
+
+        // Answer proxy authentication for every window on our proxies, challenge windows included
+        this.loginHandler = (event, webContents, details, authInfo, callback) => {
+            if (!authInfo.isProxy) return;
+            const proxy = this.proxies.find(p => p.username && p.host === authInfo.host && p.port === authInfo.port);
+            if (!proxy) return;
+            event.preventDefault();
+            callback(proxy.username, proxy.password || '');
+        };
+        if (this.proxies.some(proxy => proxy.username)) app.on('login', this.loginHandler);
+
+        this.rate = new RateController({
+            maxWindows,
+            minRequestInterval: this.options.minRequestInterval,
+            adaptive: this.options.adaptiveRate
+        });
+
+        // One filter for every session the windows use, so its stats cover the whole pool
+        this.filter = this.options.blockResources
+            ? new RequestFilter({ blockedTypes: this.options.blockedTypes, blockedUrls: this.options.blockedUrls })
+            : null;
+        this.filteredSessions = new Map(); // partition -> session with the filter installed
+
+        this.slots = []; // { window, busy, lastUsed, proxy, ready, capture }
+        this.waiting = []; // Resolvers of acquire() calls waiting for a free window
+        this.pacer = new RequestPacer(); // Spaces page loads across all windows
+        this.destroyed = false;
+        this.resumed = null; // Promise resolved by resume() while the pool is paused
+        this.resumePool = null;
+    }
+
+    get paused() {
+        return this.resumed !== null;
+    }
+
+    // Hold back new requests (e.g. while a Cloudflare challenge is solved); in-flight ones are unaffected
+    pause() {
+        if (this.resumed) return;
+        this.resumed = new Promise(resolve => { this.resumePool = resolve; });
+    }
+
+    resume() {
+        if (!this.resumed) return;
+        const resolve = this.resumePool;
+        this.resumed = null;
+        this.resumePool = null;
+        resolve();
+    }
+
+    get size() {
+        return this.slots.length;
+    }
+
+    get busyCount() {
+        return this.slots.filter(slot => slot.busy).length;
+    }
+
+    get activeProxies() {
+        return this.proxies.filter(proxy => !this.isRetired(proxy));
+    }
+
+    isRetired(proxy) {
+        return proxy.retiredUntil > Date.now();
+    }
+
+    // Point the proxy's partition at it, once
+    prepareProxy(proxy) {
+        if (!proxy.ready) {
+            proxy.ready = session.fromPartition(proxy.partition).setProxy({ proxyRules: proxy.rules });
+        }
+        return proxy.ready;
+    }
+
+    // Session partitions the windows load pages in; each needs its own Cloudflare clearance
+    async sessionPartitions() {
+        if (this.proxies.length === 0) return [this.options.partition];
+
+        await Promise.all(this.activeProxies.map(proxy => this.prepareProxy(proxy)));
+        return this.activeProxies.map(proxy => proxy.partition);
+    }
+
+    // Proxy and partition a borrowed window loads through
+    sessionOf(window) {
+        const proxy = this.slots.find(slot => slot.window === window)?.proxy || null;
+        return { proxy: proxy ? proxy.url : null, partition: proxy ? proxy.partition : this.options.partition };
+    }
+
+    // Network capture of a borrowed window, created on first use; null in DOM mode
+    captureOf(window) {
+        const slot = this.slots.find(slot => slot.window === window);
+        if (!slot || this.options.capture !== 'network') return null;
+        if (!slot.capture) slot.capture = new NetworkCapture(window.webContents);
+        return slot.capture;
+    }
+
+    // Install the request filter on a partition's session, once
+    filterSession(partition) {
+        if (!this.filter || this.filteredSessions.has(partition)) return;
+
+        const target = partition ? session.fromPartition(partition) : session.defaultSession;
+        target.webRequest.onBeforeRequest({ urls: ['*://*/*'] }, (details, callback) => {
+            callback({ cancel: this.filter.check(details) });
+        });
+        this.filteredSessions.set(partition, target);
+    }
+
+    // Requests blocked and allowed so far ({ blocked, allowed, blockedByType, bytesSaved }), null without a filter
+    resourceStats() {
+        return this.filter ? this.filter.snapshot() : null;
+    }
+
+    createWindow(proxy = null) {
+        const partition = proxy ? proxy.partition : this.options.partition;
+        this.filterSession(partition);
+
+        const window = new BrowserWindow({
+            width: 800,
+            height: 600,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                enableRemoteModule: false,
+                webSecurity: false,
+                allowRunningInsecureContent: true,
+                offscreen: this.options.offscreen, // Configurable offscreen rendering
+                partition,
+                backgroundThrottling: false,
+                experimentalFeatures: true
+            },
+            title: 'Etherscan Browser',
+            show: !this.options.headless, // Configurable headless mode
+            skipTaskbar: true,
+            minimizable: false,
+            maximizable: false,
+            resizable: false
+        });
+
+        // Increase max listeners to prevent memory leak warnings
+        window.webContents.setMaxListeners(50);
+
+        // Optimize for speed
+        window.webContents.setAudioMuted(true);
+        window.webContents.setVisualZoomLevelLimits(1, 1);
+
+        return window;
+    }
+
+    // Borrow a window. Resolves once a window is free and the global rate limit allows another request.
+    async acquire() {
+        while (this.resumed) await this.resumed;
+        const slot = await this.takeSlot();
+        await slot.ready;
+        await this.waitForTurn(slot);
+        while (this.resumed) await this.resumed; // Paused while we waited for our turn
+        return slot.window;
+    }
+
+    release(window) {
+        const slot = this.slots.find(s => s.window === window);
+        if (!slot) return;
+
+        slot.lastUsed = Date.now();
+
+        // A window that crashed or was closed is replaced on the next acquire
+        if (window.isDestroyed() || (slot.proxy && this.isRetired(slot.proxy))) {
+            this.removeSlot(slot);
+            this.fillWindows();
+            return;
+        }
+
+        // Hand the window straight to the next waiter, unless the controller cut the window count
+        const next = this.busyCount <= this.rate.windows ? this.waiting.shift() : null;
+        if (next) {
+            next.resolve(slot);
+        } else {
+            slot.busy = false;
+        }
+    }
+
+    // Record how a page load went so the pace can adapt, and whether the proxy it went through still works
+    report(classification, proxyUrl = null) {
+        this.rate.record(classification.type);
+
+        // Only refusals and connection errors count against a proxy; explorer outages and timeouts
+        // hit every proxy alike and would otherwise retire all of them
+        const proxy = this.proxies.find(p => p.url === proxyUrl);
+        if (proxy && !this.isRetired(proxy)) {
+            if (rateOutcome(classification.type) === RATE_OUTCOMES.SUCCESS) {
+                proxy.failures = 0;
+            } else if (BLOCKING_TYPES.includes(classification.type) || PROXY_ERROR.test(classification.reason)) {
+                proxy.failures++;
+                if (proxy.failures >= this.options.maxProxyFailures) this.retireProxy(proxy);
+            }
+        }
+
+        this.fillWindows();
+    }
+
+    // Stop using a proxy for PROXY_COOLDOWN: idle windows close now, busy ones when they are released.
+    // Pages fail while every proxy is out; later pages (the retry pass, the next address) can use them again.
+    retireProxy(proxy) {
+        proxy.retiredUntil = Date.now() + PROXY_COOLDOWN;
+        const remaining = this.activeProxies.length;
+        console.warn(`🚫 Proxy ${proxy.label} failed ${proxy.failures} pages in a row, taking it out of the pool for ${PROXY_COOLDOWN / 60000} minutes (${remaining} left)`);
+        proxy.failures = 0;
+
+        this.slots.filter(slot => slot.proxy === proxy && !slot.busy).forEach(slot => this.removeSlot(slot));
+        if (remaining === 0) {
+            this.waiting.splice(0).forEach(waiter => waiter.reject(new Error('All proxies are out of the pool for now')));
+        }
+    }
+
+    removeSlot(slot) {
+        this.slots.splice(this.slots.indexOf(slot), 1);
+        if (!slot.window.isDestroyed()) {
+            slot.window.webContents.removeAllListeners();
+            slot.window.close();
+        }
+    }
+
+    // Start waiters on windows the controller allows again
+    fillWindows() {
+        while (this.waiting.length > 0 && this.busyCount < this.rate.windows) {
+            const next = this.waiting.shift();
+            this.takeSlot().then(next.resolve, next.reject);
+        }
+    }
+
+    // Run fn with a borrowed window, always giving it back
+    async withWindow(fn) {
+        const window = await this.acquire();
+        try {
+            return await fn(window);
+        } finally {
+            this.release(window);
+        }
+    }
+
+    takeSlot() {
+        if (this.destroyed) {
+            return Promise.reject(new Error('Window pool has been destroyed'));
+        }
+        if (this.proxies.length > 0 && this.activeProxies.length === 0) {
+            return Promise.reject(new Error('All proxies are out of the pool for now'));
+        }
+
+        // Queue up once the windows the controller currently allows are all in use
+        if (this.busyCount >= this.rate.windows) {
+            return new Promise((resolve, reject) => {
+                this.waiting.push({ resolve, reject });
+            });
+        }
+
+        const idle = this.slots.find(slot => !slot.busy);
+        if (idle) {
+            idle.busy = true;
+            return Promise.resolve(idle);
+        }
+
+        // Windows are created lazily, up to the global cap, on the proxy with the fewest windows
+        const proxy = this.activeProxies.reduce((best, candidate) =>
+            (!best || this.windowsOn(candidate) < this.windowsOn(best) ? candidate : best), null);
+        const slot = {
+            window: this.createWindow(proxy),
+            busy: true,
+            lastUsed: 0,
+            proxy,
+            ready: proxy ? this.prepareProxy(proxy) : null,
+            capture: null
+        };
+        this.slots.push(slot);
+        return Promise.resolve(slot);
+    }
+
+    windowsOn(proxy) {
+        return this.slots.filter(slot => slot.proxy === proxy).length;
+    }
+
+    // Wait for the next request slot of the pool, and for the window's cooldown to end
+    waitForTurn(slot) {
+        return this.pacer.waitForTurn(this.rate.interval, slot.lastUsed + this.options.windowCooldown);
+    }
+
+    destroy() {
+        this.destroyed = true;
+        app.removeListener('login', this.loginHandler);
+        this.resume();
+        this.waiting.splice(0).forEach(waiter => waiter.reject(new Error('Window pool has been destroyed')));
+
+        this.slots.forEach((slot, index) => {
+            try {
+                if (!slot.window.isDestroyed()) {
+                    // Remove all listeners to prevent memory leaks
+                    slot.window.webContents.removeAllListeners();
+                    slot.window.close();
+                }
+            } catch (error) {
+                console.warn(`Error closing window ${index}:`, error.message);
+            }
+        });
+        this.slots = [];
+
+        this.filteredSessions.forEach(target => target.webRequest.onBeforeRequest(null));
+        this.filteredSessions.clear();
+    }
+}